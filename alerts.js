@@ -0,0 +1,195 @@
+/**
+ * ERP Attendance Intelligence - Alerts Module
+ *
+ * Desktop notifications when a background sync changes a subject's standing,
+ * so students hear about it without opening the popup.
+ *
+ * EVENTS (previous fetch vs the new one, processed with the popup's settings
+ * and excused absences):
+ * - dropped: the subject moved to a worse tier (e.g. safe -> borderline)
+ * - recovered: a subject in a critical tier moved to a better one
+ * - nextClass: missing the next class of a component would now take it below
+ *   its threshold (nextClassSimulation.wouldFallBelowThreshold became true)
+ *
+ * Muted courses (settings.mutedCourses) never alert. During quiet hours events
+ * are queued (chrome.storage.local, key "alertQueue") and shown after them.
+ */
+
+const AttendanceAlerts = {
+
+    QUEUE_KEY: 'alertQueue',
+
+    NOTIFICATION_PREFIX: 'attendance-alert',
+
+    /**
+     * Compare two processed fetches
+     * @param {Array} previousSubjects - Processed subjects of the previous fetch
+     * @param {Array} currentSubjects - Processed subjects of the new fetch
+     * @returns {Array} Events: { courseCode, kind, title, message }
+     */
+    findEvents(previousSubjects, currentSubjects) {
+        const previousByCode = {};
+        for (const subject of previousSubjects) {
+            previousByCode[subject.courseCode] = subject;
+        }
+
+        const events = [];
+
+        for (const subject of currentSubjects) {
+            const previous = previousByCode[subject.courseCode];
+            if (!previous) continue;
+
+            const name = subject.courseName || subject.courseCode;
+            const percentage = `${subject.percentage.toFixed(1)}%`;
+
+            if (subject.tier.rank > previous.tier.rank) {
+                events.push({
+                    courseCode: subject.courseCode,
+                    kind: 'dropped',
+                    title: `${name}: ${previous.tier.label} → ${subject.tier.label}`,
+                    message: `Now at ${percentage}. ${AttendanceReport.getActionMessage(subject).text}`
+                });
+            } else if (subject.tier.rank < previous.tier.rank && previous.status === 'critical') {
+                events.push({
+                    courseCode: subject.courseCode,
+                    kind: 'recovered',
+                    title: `${name} recovered: ${subject.tier.label}`,
+                    message: `Back to ${percentage}. ${AttendanceReport.getActionMessage(subject).text}`
+                });
+            }
+
+            for (const type of Object.keys(subject.componentData)) {
+                const comp = subject.componentData[type];
+                const previousComp = previous.componentData[type];
+                const wasOnEdge = previousComp && previousComp.nextClassSimulation.wouldFallBelowThreshold;
+
+                if (comp.nextClassSimulation.wouldFallBelowThreshold && !wasOnEdge) {
+                    events.push({
+                        courseCode: subject.courseCode,
+                        kind: 'nextClass',
+                        title: `${name}: can't miss the next ${AttendanceCalculator.getLTPSInfo(type).name}`,
+                        message: `Missing the next ${type} class takes it to ` +
+                            `${comp.nextClassSimulation.newPercentage.toFixed(1)}%, below ${comp.threshold}%`
+                    });
+                }
+            }
+        }
+
+        return events;
+    },
+
+    /**
+     * Whether a time falls in the quiet hours (a range may wrap past midnight)
+     * @param {Object} settings - Settings with quietHoursStart / quietHoursEnd ("HH:MM", "" = none)
+     * @param {Date} now - Time to check
+     * @returns {boolean} True during quiet hours
+     */
+    isQuietTime(settings, now) {
+        if (!settings.quietHoursStart || !settings.quietHoursEnd) return false;
+
+        const toMinutes = (time) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        const start = toMinutes(settings.quietHoursStart);
+        const end = toMinutes(settings.quietHoursEnd);
+        const current = now.getHours() * 60 + now.getMinutes();
+
+        return start <= end
+            ? current >= start && current < end
+            : current >= start || current < end;
+    },
+
+    /**
+     * Queue the events between two fetches and show what may be shown now
+     * @param {Object} previousRawData - Previous scraped data (null if none)
+     * @param {Object} currentRawData - New scraped data
+     * @returns {Promise<Array>} Events shown
+     */
+    async notifyChanges(previousRawData, currentRawData) {
+        const settings = await AttendanceStorage.getSettings();
+        if (!settings.alertsEnabled || !previousRawData) return this.flush();
+
+        // Each fetch counts the excused sessions up to its own date
+        const ledger = await AttendanceExcused.load();
+        const process = (rawData) => AttendanceCalculator.processWithSettings(AttendanceExcused.applyToData(
+            rawData,
+            ledger,
+            settings.excusedMode,
+            AttendanceCalculator.toDateKey(rawData.scrapedAt ? new Date(rawData.scrapedAt) : new Date())
+        ), settings);
+        const events = this.findEvents(process(previousRawData), process(currentRawData));
+
+        // The newest event of a kind replaces a queued one for the same course
+        const queue = (await AttendanceStorage.get([this.QUEUE_KEY]))[this.QUEUE_KEY] || [];
+        const byKey = new Map();
+        for (const event of [...queue, ...events]) {
+            byKey.set(`${event.courseCode}|${event.kind}`, event);
+        }
+        await AttendanceStorage.set({ [this.QUEUE_KEY]: [...byKey.values()] });
+
+        return this.flush();
+    },
+
+    /**
+     * Show queued events unless it is quiet time
+     * @returns {Promise<Array>} Events shown
+     */
+    async flush() {
+        const settings = await AttendanceStorage.getSettings();
+        const queue = (await AttendanceStorage.get([this.QUEUE_KEY]))[this.QUEUE_KEY] || [];
+        if (queue.length === 0 || this.isQuietTime(settings, new Date())) return [];
+
+        const shown = settings.alertsEnabled
+            ? queue.filter(event => !settings.mutedCourses.includes(event.courseCode))
+            : [];
+        for (const event of shown) {
+            this.show(event);
+        }
+
+        await AttendanceStorage.remove([this.QUEUE_KEY]);
+        return shown;
+    },
+
+    /**
+     * Show one event (replaces an earlier notification of the same kind for the course)
+     * @param {Object} event - Event from findEvents()
+     */
+    show(event) {
+        chrome.notifications.create(`${this.NOTIFICATION_PREFIX}|${event.courseCode}|${event.kind}`, {
+            type: 'basic',
+            iconUrl: 'icons/icon128.png',
+            title: event.title,
+            message: event.message,
+            buttons: [{ title: `Mute ${event.courseCode}` }],
+            priority: event.kind === 'recovered' ? 0 : 1
+        });
+    },
+
+    /**
+     * Course code of one of our notifications
+     * @param {string} notificationId - Notification id
+     * @returns {string|null} Course code, null for other notifications
+     */
+    getCourseCode(notificationId) {
+        const [prefix, courseCode] = notificationId.split('|');
+        return prefix === this.NOTIFICATION_PREFIX ? courseCode : null;
+    },
+
+    /**
+     * Mute a course (the notification's "Mute" button)
+     * @param {string} courseCode - Course code
+     * @returns {Promise<void>}
+     */
+    async muteCourse(courseCode) {
+        const { mutedCourses } = await AttendanceStorage.getSettings();
+        if (!mutedCourses.includes(courseCode)) {
+            await AttendanceStorage.saveSettings({ mutedCourses: [...mutedCourses, courseCode] });
+        }
+    }
+};
+
+// Export for use in extension pages
+if (typeof window !== 'undefined') {
+    window.AttendanceAlerts = AttendanceAlerts;
+}
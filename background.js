@@ -0,0 +1,65 @@
+/**
+ * ERP Attendance Intelligence - Background Service Worker
+ * Runs the periodic auto-sync (see sync.js) and the alerts it raises (see alerts.js),
+ * and keeps the toolbar badge up to date (see badge.js)
+ */
+
+importScripts(
+    'storage.js', 'rules.js', 'layouts.js', 'calculations.js', 'history.js', 'report.js', 'excused.js', 'sync.js', 'alerts.js', 'badge.js'
+);
+
+// Keep the alarm in line with the setting and the badge in line with the data
+chrome.runtime.onInstalled.addListener(() => {
+    AttendanceSync.schedule();
+    AttendanceBadge.update();
+});
+chrome.runtime.onStartup.addListener(() => {
+    AttendanceSync.schedule();
+    AttendanceBadge.update();
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    if (changes.autoSyncInterval) {
+        AttendanceSync.schedule();
+    }
+    // A fetch (popup or auto-sync), the excused ledger or a setting that changes how it is processed
+    if (changes.lastData || changes[AttendanceExcused.STORAGE_KEY] ||
+        Object.keys(changes).some(key => AttendanceStorage.SETTINGS[key])) {
+        AttendanceBadge.update();
+    }
+});
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== AttendanceSync.ALARM_NAME) return;
+
+    const previous = await AttendanceStorage.getLastData();
+    const status = await AttendanceSync.run();
+
+    if (status.error) {
+        // Still show alerts held back by quiet hours
+        await AttendanceAlerts.flush();
+    } else {
+        const current = await AttendanceStorage.getLastData();
+        await AttendanceAlerts.notifyChanges(previous ? previous.data : null, current.data);
+    }
+});
+
+// Notification "Mute" button
+chrome.notifications.onButtonClicked.addListener(async (notificationId) => {
+    const courseCode = AttendanceAlerts.getCourseCode(notificationId);
+    if (!courseCode) return;
+
+    await AttendanceAlerts.muteCourse(courseCode);
+    chrome.notifications.clear(notificationId);
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+    if (!AttendanceAlerts.getCourseCode(notificationId)) return;
+
+    chrome.notifications.clear(notificationId);
+    if (chrome.action.openPopup) {
+        chrome.action.openPopup().catch(() => {});
+    }
+});
@@ -0,0 +1,325 @@
+/**
+ * ERP Attendance Intelligence - Backup Module
+ *
+ * One versioned file with everything the extension stores: settings, the
+ * last fetch, snapshot history, the timetable and excused absences. Survives reinstalls and
+ * moves between laptops.
+ *
+ * BACKUP LAYOUT:
+ * {
+ *   format: "erp-attendance-backup",
+ *   version: 1,
+ *   createdAt: ISO string,
+ *   schemaVersion: 1,                 // Storage schema of `data` (storage.js)
+ *   data: {                           // chrome.storage.local keys, as stored
+ *     theme, threshold, sortBy, ..., courseCredits,
+ *     lastData: { data, timestamp },
+ *     attendanceHistory: { version, snapshots },
+ *     timetable: { version, updatedAt, courses },
+ *     excusedAbsences: { version, updatedAt, entries }
+ *   }
+ * }
+ *
+ * VERSIONS:
+ * - 0: a JSON export (report.js) - settings and the last scrape only
+ * - 1: full backup
+ * Older files are migrated one version at a time before validation, then
+ * `data` goes through the storage migrations from its schemaVersion (missing = 0).
+ *
+ * RESTORE:
+ * - replace: storage becomes exactly the backup (keys missing from it are cleared)
+ * - merge: this device wins on conflicts; the backup fills in missing settings,
+ *   overrides, credits and timetable courses, and its history snapshots and
+ *   excused absences are added
+ */
+
+const AttendanceBackup = {
+
+    FORMAT: 'erp-attendance-backup',
+
+    /**
+     * Version of the backup layout
+     */
+    VERSION: 1,
+
+    /**
+     * Migrations, keyed by the version they upgrade from
+     */
+    MIGRATIONS: {
+        // JSON export -> full backup
+        0: (file) => {
+            const data = {};
+            for (const key of Object.keys(AttendanceStorage.SETTINGS)) {
+                if (file.settings && file.settings[key] !== undefined) data[key] = file.settings[key];
+            }
+            if (file.scrape) {
+                data.lastData = { data: file.scrape, timestamp: file.scrape.scrapedAt || file.exportedAt };
+            }
+            return { format: AttendanceBackup.FORMAT, version: 1, createdAt: file.exportedAt, data: data };
+        }
+    },
+
+    /**
+     * All storage keys included in a backup
+     * @returns {Array} Storage keys
+     */
+    getStorageKeys() {
+        return [
+            ...Object.keys(AttendanceStorage.SETTINGS), 'lastData', AttendanceHistory.STORAGE_KEY, AttendanceTimetable.STORAGE_KEY,
+            AttendanceExcused.STORAGE_KEY
+        ];
+    },
+
+    /**
+     * Build a backup of everything currently stored
+     * @returns {Promise<Object>} Backup
+     */
+    async create() {
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            createdAt: new Date().toISOString(),
+            schemaVersion: AttendanceStorage.SCHEMA_VERSION,
+            data: await AttendanceStorage.get(this.getStorageKeys())
+        };
+    },
+
+    /**
+     * Parse, migrate and validate a backup file
+     * @param {string} text - File contents
+     * @returns {Object} { valid, errors, backup } - backup is migrated to VERSION
+     */
+    parse(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (e) {
+            return { valid: false, errors: ['Not a JSON file'], backup: null };
+        }
+
+        const version = this.getVersion(file);
+        if (version === null) {
+            return { valid: false, errors: ['Not an attendance backup or export'], backup: null };
+        }
+        if (version > this.VERSION) {
+            return { valid: false, errors: ['Made by a newer version of the extension - update it first'], backup: null };
+        }
+
+        const backup = this.migrate(file, version);
+        const schemaVersion = backup.schemaVersion || 0;
+        if (schemaVersion > AttendanceStorage.SCHEMA_VERSION) {
+            return { valid: false, errors: ['Made by a newer version of the extension - update it first'], backup: null };
+        }
+        if (this._isObject(backup.data)) {
+            backup.data = AttendanceStorage.migrateData(backup.data, schemaVersion);
+            backup.schemaVersion = AttendanceStorage.SCHEMA_VERSION;
+        }
+
+        const result = this.validate(backup);
+        return { valid: result.valid, errors: result.errors, backup: result.valid ? backup : null };
+    },
+
+    /**
+     * Backup version of a parsed file
+     * @param {Object} file - Parsed JSON
+     * @returns {number|null} Version (0 for a JSON export), null if not a backup
+     */
+    getVersion(file) {
+        if (!file || typeof file !== 'object') return null;
+        if (file.format === 'erp-attendance-export') return 0;
+        if (file.format === this.FORMAT && Number.isInteger(file.version) && file.version >= 1) return file.version;
+        return null;
+    },
+
+    /**
+     * Upgrade a file to the current version
+     * @param {Object} file - Parsed JSON
+     * @param {number} version - Its version (from getVersion())
+     * @returns {Object} Backup at VERSION
+     */
+    migrate(file, version) {
+        let backup = file;
+        for (let from = version; from < this.VERSION; from++) {
+            backup = this.MIGRATIONS[from](backup);
+        }
+        return backup;
+    },
+
+    /**
+     * Validate a (migrated) backup
+     * @param {Object} backup - Backup
+     * @returns {Object} { valid, errors }
+     */
+    validate(backup) {
+        const errors = [];
+        const data = backup.data;
+
+        if (!this._isObject(data)) {
+            return { valid: false, errors: ['"data" must be an object'] };
+        }
+
+        for (const key of Object.keys(AttendanceStorage.SETTINGS)) {
+            const error = data[key] !== undefined ? AttendanceStorage.getSettingError(key, data[key]) : null;
+            if (error) errors.push(`${key}: ${error}`);
+        }
+
+        if (data.customRules) {
+            AttendanceRules.validate(data.customRules).errors.forEach(error => errors.push(`customRules: ${error}`));
+        }
+        if (data.customLayout) {
+            AttendanceLayouts.validate(data.customLayout).errors.forEach(error => errors.push(`customLayout: ${error}`));
+        }
+
+        if (data.lastData !== undefined && !(this._isObject(data.lastData) && this._isObject(data.lastData.data) &&
+            this._isObject(data.lastData.data.subjects))) {
+            errors.push('lastData: must contain the scraped "subjects"');
+        }
+
+        const history = data[AttendanceHistory.STORAGE_KEY];
+        if (history !== undefined && !(this._isObject(history) && history.version === AttendanceHistory.VERSION &&
+            Array.isArray(history.snapshots))) {
+            errors.push(`${AttendanceHistory.STORAGE_KEY}: unsupported history layout`);
+        }
+
+        const timetable = data[AttendanceTimetable.STORAGE_KEY];
+        if (timetable !== undefined && !(this._isObject(timetable) && timetable.version === AttendanceTimetable.VERSION &&
+            this._isObject(timetable.courses))) {
+            errors.push(`${AttendanceTimetable.STORAGE_KEY}: unsupported timetable layout`);
+        }
+
+        const excused = data[AttendanceExcused.STORAGE_KEY];
+        if (excused !== undefined && !(this._isObject(excused) && excused.version === AttendanceExcused.VERSION &&
+            Array.isArray(excused.entries))) {
+            errors.push(`${AttendanceExcused.STORAGE_KEY}: unsupported excused absences layout`);
+        }
+
+        return { valid: errors.length === 0, errors: errors };
+    },
+
+    /**
+     * Short description of a backup's contents, e.g. "settings, 12 snapshots, timetable (6 courses)"
+     * @param {Object} backup - Validated backup
+     * @returns {string} Summary
+     */
+    describe(backup) {
+        const data = backup.data;
+        const parts = [];
+
+        if (Object.keys(AttendanceStorage.SETTINGS).some(key => data[key] !== undefined)) parts.push('settings');
+        if (data.lastData) {
+            const subjectCount = Object.keys(data.lastData.data.subjects).length;
+            parts.push(`last fetch (${subjectCount} subject${subjectCount !== 1 ? 's' : ''})`);
+        }
+
+        const history = data[AttendanceHistory.STORAGE_KEY];
+        if (history) parts.push(`${history.snapshots.length} snapshot${history.snapshots.length !== 1 ? 's' : ''}`);
+
+        const timetable = data[AttendanceTimetable.STORAGE_KEY];
+        if (timetable) {
+            const courseCount = Object.keys(timetable.courses).length;
+            parts.push(`timetable (${courseCount} course${courseCount !== 1 ? 's' : ''})`);
+        }
+
+        const excused = data[AttendanceExcused.STORAGE_KEY];
+        if (excused && excused.entries.length > 0) {
+            parts.push(`${excused.entries.length} excused absence${excused.entries.length !== 1 ? 's' : ''}`);
+        }
+
+        return parts.length > 0 ? parts.join(', ') : 'nothing';
+    },
+
+    /**
+     * Restore a validated backup
+     * @param {Object} backup - Backup from parse()
+     * @param {string} mode - "merge" or "replace"
+     * @returns {Promise<Object>} The data now stored
+     */
+    async restore(backup, mode) {
+        const keys = this.getStorageKeys();
+        const incoming = {};
+        for (const key of keys) {
+            if (backup.data[key] !== undefined) incoming[key] = backup.data[key];
+        }
+
+        if (mode === 'replace') {
+            await AttendanceStorage.remove(keys.filter(key => incoming[key] === undefined));
+            await AttendanceStorage.set(incoming);
+            return incoming;
+        }
+
+        const merged = this.merge(await AttendanceStorage.get(keys), incoming);
+        await AttendanceStorage.set(merged);
+        return merged;
+    },
+
+    /**
+     * Merge backup data into the current data (current wins on conflicts)
+     * @param {Object} current - Currently stored data
+     * @param {Object} incoming - Backup data
+     * @returns {Object} Merged data
+     */
+    merge(current, incoming) {
+        const merged = { ...incoming, ...current };
+
+        for (const key of ['thresholdOverrides', 'courseCredits']) {
+            if (current[key] && incoming[key]) merged[key] = { ...incoming[key], ...current[key] };
+        }
+
+        // Keep the newer of the two last fetches
+        if (current.lastData && incoming.lastData &&
+            new Date(incoming.lastData.timestamp) > new Date(current.lastData.timestamp)) {
+            merged.lastData = incoming.lastData;
+        }
+
+        const historyKey = AttendanceHistory.STORAGE_KEY;
+        if (current[historyKey] && incoming[historyKey]) {
+            const byId = new Map();
+            for (const snapshot of [...incoming[historyKey].snapshots, ...current[historyKey].snapshots]) {
+                byId.set(snapshot.id, snapshot);
+            }
+            const snapshots = [...byId.values()]
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+                .slice(-AttendanceHistory.MAX_SNAPSHOTS);
+            merged[historyKey] = { ...current[historyKey], snapshots: snapshots };
+        }
+
+        const timetableKey = AttendanceTimetable.STORAGE_KEY;
+        if (current[timetableKey] && incoming[timetableKey]) {
+            merged[timetableKey] = {
+                ...current[timetableKey],
+                courses: { ...incoming[timetableKey].courses, ...current[timetableKey].courses }
+            };
+        }
+
+        const excusedKey = AttendanceExcused.STORAGE_KEY;
+        if (current[excusedKey] && incoming[excusedKey]) {
+            const byId = new Map();
+            for (const entry of [...incoming[excusedKey].entries, ...current[excusedKey].entries]) {
+                byId.set(entry.id, entry);
+            }
+            merged[excusedKey] = {
+                ...current[excusedKey],
+                entries: [...byId.values()].sort((a, b) => a.date.localeCompare(b.date))
+            };
+        }
+
+        return merged;
+    },
+
+    /**
+     * File name for a backup, e.g. "attendance-backup-2026-10-19.json"
+     * @returns {string} File name
+     */
+    getFileName() {
+        return `attendance-backup-${AttendanceCalculator.toDateKey(new Date())}.json`;
+    },
+
+    _isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+};
+
+// Export for use in popup.js
+if (typeof window !== 'undefined') {
+    window.AttendanceBackup = AttendanceBackup;
+}
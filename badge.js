@@ -0,0 +1,86 @@
+/**
+ * ERP Attendance Intelligence - Badge Module
+ *
+ * The toolbar badge: risk at a glance without opening the popup. Updated by
+ * background.js whenever the last fetch or a setting changes (popup fetches
+ * and auto-syncs alike).
+ *
+ * BADGE:
+ * - Any subject in a critical tier: the number of such subjects
+ * - Otherwise: the lowest subject percentage (e.g. "78%")
+ * - Colour: the status colour of the worst tier reached
+ * - Tooltip: the most at-risk subject (calculateAggregateStats().mostAtRisk)
+ */
+
+const AttendanceBadge = {
+
+    /**
+     * Status colours (same as --status-* in popup.css)
+     */
+    COLORS: {
+        safe: '#34C759',
+        borderline: '#FF9500',
+        critical: '#FF3B30'
+    },
+
+    DEFAULT_TITLE: 'ERP Attendance Intelligence',
+
+    /**
+     * Badge for a set of processed subjects
+     * @param {Array} subjects - Processed subjects
+     * @param {number} threshold - Attendance threshold
+     * @returns {Object|null} { text, color, title }, null if there are no subjects
+     */
+    getBadge(subjects, threshold) {
+        if (subjects.length === 0) return null;
+
+        const stats = AttendanceCalculator.calculateAggregateStats(subjects, threshold);
+        const worst = subjects.reduce((a, b) => (b.tier.rank > a.tier.rank ? b : a));
+        const lowest = subjects.reduce((a, b) => (b.percentage < a.percentage ? b : a));
+        const criticalCount = subjects.filter(subject => subject.status === 'critical').length;
+
+        const risk = stats.mostAtRisk;
+        return {
+            text: criticalCount > 0 ? String(criticalCount) : `${Math.floor(lowest.percentage)}%`,
+            color: this.COLORS[worst.status] || this.COLORS.safe,
+            title: `${this.DEFAULT_TITLE}\n` +
+                `Most at risk: ${risk.courseName || risk.courseCode} - ${risk.percentage.toFixed(1)}% (${risk.tier.label})` +
+                (criticalCount > 0 ? `\n${criticalCount} subject${criticalCount !== 1 ? 's' : ''} in a critical tier` : '')
+        };
+    },
+
+    /**
+     * Redraw the badge from the stored last fetch and settings
+     * @returns {Promise<void>}
+     */
+    async update() {
+        const settings = await AttendanceStorage.getSettings();
+        const lastData = await AttendanceStorage.getLastData();
+        const ledger = await AttendanceExcused.load();
+        // Excused sessions up to the fetch date only (see getAdjustedData() in popup.js)
+        const subjects = lastData
+            ? AttendanceCalculator.processWithSettings(AttendanceExcused.applyToData(
+                lastData.data, ledger, settings.excusedMode, AttendanceCalculator.toDateKey(new Date(lastData.timestamp))
+            ), settings)
+            : [];
+        const badge = this.getBadge(subjects, settings.threshold);
+
+        if (!badge) {
+            await chrome.action.setBadgeText({ text: '' });
+            await chrome.action.setTitle({ title: this.DEFAULT_TITLE });
+            return;
+        }
+
+        await chrome.action.setBadgeText({ text: badge.text });
+        await chrome.action.setBadgeBackgroundColor({ color: badge.color });
+        if (chrome.action.setBadgeTextColor) {
+            await chrome.action.setBadgeTextColor({ color: '#FFFFFF' });
+        }
+        await chrome.action.setTitle({ title: badge.title });
+    }
+};
+
+// Export for use in extension pages
+if (typeof window !== 'undefined') {
+    window.AttendanceBadge = AttendanceBadge;
+}
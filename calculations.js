@@ -8,9 +8,15 @@
  * - "TCBR_CORRECTED": Uses attended + tcbr for effective attended
  * 
  * Formula Reference:
- * - effectiveAttended = (mode === "TCBR_CORRECTED") ? attended + tcbr : attended
+ * - effectiveAttended = (mode === "TCBR_CORRECTED") ? attended + tcbr : attended,
+ *   plus the component's counted excused sessions in either mode (see excused.js)
  * - Component Percentage = (effectiveAttended / conducted) * 100
- * - Subject Percentage = Average of all component percentages (equal weight)
+ * - Subject Percentage = Weighted average of component percentages, by aggregation mode:
+ *   "EQUAL" (each component counts once), "POOLED" (weighted by classes conducted, i.e.
+ *   total attended / total conducted) or "CREDIT_WEIGHTED" (weighted by course credits)
+ * - Subject classes needed / safe skips are solved on that average, per component
+ *
+ * Statuses come from the active eligibility rule set (rules.js).
  */
 
 const AttendanceCalculator = {
@@ -36,17 +42,62 @@ const AttendanceCalculator = {
         }
     },
 
+    /**
+     * Current aggregation mode (how component percentages combine)
+     * "EQUAL" - Average of component percentages
+     * "POOLED" - Total attended / total conducted
+     * "CREDIT_WEIGHTED" - Average weighted by the course's L/T/P/S credits
+     */
+    aggregationMode: "EQUAL",
+
+    /**
+     * Set the aggregation mode
+     * @param {string} mode - "EQUAL", "POOLED" or "CREDIT_WEIGHTED"
+     */
+    setAggregationMode(mode) {
+        if (mode === "EQUAL" || mode === "POOLED" || mode === "CREDIT_WEIGHTED") {
+            this.aggregationMode = mode;
+        } else {
+            this.aggregationMode = "EQUAL";
+        }
+    },
+
+    /**
+     * Active eligibility rule set (see rules.js)
+     * null - use the standard safe / borderline / critical tiers
+     */
+    rules: null,
+
+    /**
+     * Set the eligibility rule set
+     * @param {Object} ruleSet - Rule set from AttendanceRules.resolve()
+     */
+    setRules(ruleSet) {
+        this.rules = ruleSet;
+    },
+
+    /**
+     * Get the active eligibility rule set
+     * @returns {Object} Rule set
+     */
+    getRules() {
+        return this.rules || AttendanceRules.PRESETS.standard;
+    },
+
     /**
      * Get effective attended count based on current mode
      * @param {number} attended - Raw attended classes
      * @param {number} tcbr - Total Classes Before Registration
+     * @param {number} excused - Excused sessions counted as attended (see excused.js)
+     * @param {string} mode - Attendance mode (defaults to the current one)
      * @returns {number} Effective attended count
      */
-    getEffectiveAttended(attended, tcbr) {
-        if (this.attendanceMode === "TCBR_CORRECTED") {
-            return attended + (tcbr || 0);
+    getEffectiveAttended(attended, tcbr, excused = 0, mode = this.attendanceMode) {
+        const counted = attended + (excused || 0);
+        if (mode === "TCBR_CORRECTED") {
+            return counted + (tcbr || 0);
         }
-        return attended;
+        return counted;
     },
 
     /**
@@ -54,12 +105,14 @@ const AttendanceCalculator = {
      * @param {number} attended - Raw attended classes
      * @param {number} conducted - Classes conducted (NEVER modified)
      * @param {number} tcbr - TCBR value
+     * @param {number} excused - Excused sessions counted as attended
+     * @param {string} mode - Attendance mode (defaults to the current one)
      * @returns {number} Percentage (0-100)
      */
-    calculateComponentPercentage(attended, conducted, tcbr = 0) {
+    calculateComponentPercentage(attended, conducted, tcbr = 0, excused = 0, mode = this.attendanceMode) {
         if (conducted <= 0) return 100; // No classes conducted = 100% by default
 
-        const effectiveAttended = this.getEffectiveAttended(attended, tcbr);
+        const effectiveAttended = this.getEffectiveAttended(attended, tcbr, excused, mode);
         const percentage = (effectiveAttended / conducted) * 100;
 
         // Sanity guard: percentage should be 0-100
@@ -76,61 +129,146 @@ const AttendanceCalculator = {
     },
 
     /**
-     * Calculate final subject attendance (average of all components)
-     * Each component has EQUAL weight regardless of class count
+     * Calculate final subject attendance (weighted average of all components,
+     * see getComponentWeight for the weights of each aggregation mode)
      * @param {Object} components - Object with LTPS components
+     * @param {Object} credits - Course credits { L: 3, T: 1, P: 2 } (CREDIT_WEIGHTED only)
      * @returns {number} Average percentage across all components
      */
-    calculateSubjectPercentage(components) {
+    calculateSubjectPercentage(components, credits = null) {
         const componentTypes = Object.keys(components);
         if (componentTypes.length === 0) return 0;
 
+        const counted = this.getCountedComponents(components);
+        const activeCredits = this.getActiveCredits(counted, credits);
+
         let totalPercentage = 0;
-        let validComponents = 0;
+        let totalWeight = 0;
 
-        for (const type of componentTypes) {
-            const comp = components[type];
-            if (comp.conducted > 0) {
-                const percentage = this.calculateComponentPercentage(
-                    comp.attended,
-                    comp.conducted,
-                    comp.tcbr || 0
-                );
-                totalPercentage += percentage;
-                validComponents++;
-            }
+        for (const [type, comp] of counted) {
+            const percentage = this.calculateComponentPercentage(
+                comp.attended,
+                comp.conducted,
+                comp.tcbr || 0,
+                comp.excused || 0
+            );
+            const weight = this.getComponentWeight(type, comp.conducted, activeCredits);
+            totalPercentage += weight * percentage;
+            totalWeight += weight;
         }
 
-        if (validComponents === 0) return 100;
-        return totalPercentage / validComponents;
+        if (totalWeight === 0) return 100;
+        return totalPercentage / totalWeight;
     },
 
     /**
-     * Determine status based on percentage and threshold
+     * Weight of one component in the subject percentage
+     * - EQUAL: 1
+     * - POOLED: classes conducted (a class-weighted average is total attended / total conducted)
+     * - CREDIT_WEIGHTED: the component's credits
+     * @param {string} type - Component type
+     * @param {number} conducted - Classes conducted
+     * @param {Object} activeCredits - Result of getActiveCredits()
+     * @returns {number} Weight
+     */
+    getComponentWeight(type, conducted, activeCredits) {
+        if (this.aggregationMode === "POOLED") return conducted;
+        if (activeCredits) return activeCredits[type] || 0;
+        return 1;
+    },
+
+    /**
+     * Credits to weight by, or null for equal weights (not CREDIT_WEIGHTED, or
+     * no credits set for any counted component of the course)
+     * @param {Array} counted - [type, comp] pairs from getCountedComponents()
+     * @param {Object} credits - Course credits { L: 3, T: 1, P: 2 }
+     * @returns {Object|null} Credits
+     */
+    getActiveCredits(counted, credits) {
+        if (this.aggregationMode !== "CREDIT_WEIGHTED" || !credits) return null;
+        const total = counted.reduce((sum, [type]) => sum + (credits[type] || 0), 0);
+        return total > 0 ? credits : null;
+    },
+
+    /**
+     * Contribution of one component to the subject's distance from the threshold:
+     * weight * (component percentage - threshold). The subject percentage is at or
+     * above the threshold exactly when these add up to 0 or more, which lets the
+     * solvers work one component at a time in every aggregation mode.
+     * @param {string} type - Component type
+     * @param {number} attended - Raw attended classes
+     * @param {number} conducted - Classes conducted
+     * @param {number} tcbr - TCBR value
+     * @param {number} excused - Excused sessions counted as attended
+     * @param {number} threshold - Target percentage
+     * @param {Object} activeCredits - Result of getActiveCredits()
+     * @returns {number} Weighted margin
+     */
+    getComponentMargin(type, attended, conducted, tcbr, excused, threshold, activeCredits) {
+        const percentage = this.calculateComponentPercentage(attended, conducted, tcbr, excused);
+        return this.getComponentWeight(type, conducted, activeCredits) * (percentage - threshold);
+    },
+
+    /**
+     * Determine the eligibility tier of a percentage
      * @param {number} percentage - Current attendance percentage
      * @param {number} threshold - Minimum required percentage
-     * @returns {string} 'safe', 'borderline', or 'critical'
+     * @returns {Object} Tier (id, label, icon, color, message, alert, rank)
+     */
+    getTier(percentage, threshold) {
+        return AttendanceRules.evaluate(this.getRules(), percentage, threshold);
+    },
+
+    /**
+     * Determine the eligibility tier of a subject: the tier of its averaged
+     * percentage, lowered by any component rule it breaks
+     * @param {Object} components - LTPS components (raw data)
+     * @param {number} threshold - Minimum required percentage
+     * @param {Object} credits - Course credits (CREDIT_WEIGHTED only)
+     * @returns {Object} Tier (with `reasons` from component rules)
+     */
+    getSubjectTier(components, threshold, credits = null) {
+        const componentPercentages = {};
+        for (const [type, comp] of this.getCountedComponents(components)) {
+            componentPercentages[type] = this.calculateComponentPercentage(
+                comp.attended, comp.conducted, comp.tcbr || 0, comp.excused || 0
+            );
+        }
+
+        return AttendanceRules.evaluateSubject(
+            this.getRules(),
+            this.calculateSubjectPercentage(components, credits),
+            componentPercentages,
+            threshold
+        );
+    },
+
+    /**
+     * Determine status colour based on percentage and threshold
+     * @param {number} percentage - Current attendance percentage
+     * @param {number} threshold - Minimum required percentage
+     * @returns {string} 'safe', 'borderline', or 'critical' (colour of the matching tier)
      */
     getStatus(percentage, threshold) {
-        if (percentage >= threshold + 5) return 'safe';
-        if (percentage >= threshold) return 'borderline';
-        return 'critical';
+        return this.getTier(percentage, threshold).color;
     },
 
     /**
      * Calculate danger score for sorting (higher = more dangerous)
+     * Every tier below the best adds 50; within a tier the score grows with the
+     * distance below the next better tier (10 points above the minimum for the best tier)
      * @param {number} percentage - Current attendance percentage
      * @param {number} threshold - Minimum required percentage
+     * @param {Object} tier - Tier of the subject (defaults to the tier of `percentage`)
      * @returns {number} Danger score (0-100+)
      */
-    calculateDangerScore(percentage, threshold) {
-        if (percentage >= threshold) {
-            // Above threshold: danger based on margin
-            return Math.max(0, threshold + 10 - percentage);
-        } else {
-            // Below threshold: high danger
-            return 50 + (threshold - percentage);
-        }
+    calculateDangerScore(percentage, threshold, tier = this.getTier(percentage, threshold)) {
+        const tiers = this.getRules().tiers;
+        const upper = tier.rank === 0
+            ? AttendanceRules.getTierMin(tiers[0], threshold) + 10
+            : AttendanceRules.getTierMin(tiers[tier.rank - 1], threshold);
+
+        return tier.rank * 50 + Math.max(0, upper - percentage);
     },
 
     /**
@@ -149,11 +287,12 @@ const AttendanceCalculator = {
      * @param {number} conducted - Classes conducted (NEVER modified)
      * @param {number} threshold - Target percentage (e.g., 75)
      * @param {number} tcbr - TCBR value
+     * @param {number} excused - Excused sessions counted as attended
      * @returns {number} Minimum classes to attend consecutively (0 if already at threshold)
      */
-    classesNeededToReachThreshold(attended, conducted, threshold, tcbr = 0) {
-        const effectiveAttended = this.getEffectiveAttended(attended, tcbr);
-        const currentPercentage = this.calculateComponentPercentage(attended, conducted, tcbr);
+    classesNeededToReachThreshold(attended, conducted, threshold, tcbr = 0, excused = 0) {
+        const effectiveAttended = this.getEffectiveAttended(attended, tcbr, excused);
+        const currentPercentage = this.calculateComponentPercentage(attended, conducted, tcbr, excused);
 
         // Already at or above threshold
         if (currentPercentage >= threshold) return 0;
@@ -198,11 +337,12 @@ const AttendanceCalculator = {
      * @param {number} conducted - Classes conducted (NEVER modified)
      * @param {number} threshold - Minimum percentage (e.g., 75)
      * @param {number} tcbr - TCBR value
+     * @param {number} excused - Excused sessions counted as attended
      * @returns {number} Maximum classes that can be skipped (0 if below threshold)
      */
-    classesCanSkip(attended, conducted, threshold, tcbr = 0) {
-        const effectiveAttended = this.getEffectiveAttended(attended, tcbr);
-        const currentPercentage = this.calculateComponentPercentage(attended, conducted, tcbr);
+    classesCanSkip(attended, conducted, threshold, tcbr = 0, excused = 0) {
+        const effectiveAttended = this.getEffectiveAttended(attended, tcbr, excused);
+        const currentPercentage = this.calculateComponentPercentage(attended, conducted, tcbr, excused);
 
         // Already below threshold
         if (currentPercentage < threshold) return 0;
@@ -239,13 +379,14 @@ const AttendanceCalculator = {
      * @param {number} conducted - Classes conducted
      * @param {number} threshold - Minimum percentage
      * @param {number} tcbr - TCBR value
+     * @param {number} excused - Excused sessions counted as attended
      * @returns {Object} Simulation results
      */
-    simulateMissNextClass(attended, conducted, threshold, tcbr = 0) {
-        const currentPercentage = this.calculateComponentPercentage(attended, conducted, tcbr);
+    simulateMissNextClass(attended, conducted, threshold, tcbr = 0, excused = 0) {
+        const currentPercentage = this.calculateComponentPercentage(attended, conducted, tcbr, excused);
         const newConducted = conducted + 1;
         // When missing next class, attended stays same, conducted increases
-        const newPercentage = this.calculateComponentPercentage(attended, newConducted, tcbr);
+        const newPercentage = this.calculateComponentPercentage(attended, newConducted, tcbr, excused);
 
         return {
             currentPercentage: currentPercentage,
@@ -256,49 +397,904 @@ const AttendanceCalculator = {
         };
     },
 
+    /**
+     * What-if simulation: attend N more and miss M more classes per component.
+     * Works on copies; the raw components are never modified.
+     *
+     * @param {Object} components - LTPS components (raw data)
+     * @param {Object} adjustments - { L: { attend: 2, miss: 1 }, ... }
+     * @param {number} threshold - Minimum percentage
+     * @param {Object} componentThresholds - Optional per-component overrides { P: 85 }
+     * @param {Object} credits - Course credits (CREDIT_WEIGHTED only)
+     * @returns {Object} { percentage, status, tier, componentData }
+     */
+    simulateWhatIf(components, adjustments, threshold, componentThresholds = {}, credits = null) {
+        const adjusted = {};
+        const componentData = {};
+
+        for (const type of Object.keys(components)) {
+            const comp = components[type];
+            const change = adjustments[type] || {};
+            const attend = Math.max(0, change.attend || 0);
+            const miss = Math.max(0, change.miss || 0);
+
+            adjusted[type] = {
+                conducted: comp.conducted + attend + miss,
+                attended: comp.attended + attend,
+                tcbr: comp.tcbr || 0,
+                excused: comp.excused || 0
+            };
+
+            const percentage = this.calculateComponentPercentage(
+                adjusted[type].attended,
+                adjusted[type].conducted,
+                adjusted[type].tcbr,
+                adjusted[type].excused
+            );
+
+            const compThreshold = componentThresholds[type] !== undefined ? componentThresholds[type] : threshold;
+
+            componentData[type] = {
+                percentage: percentage,
+                status: this.getStatus(percentage, compThreshold),
+                conducted: adjusted[type].conducted,
+                attended: adjusted[type].attended
+            };
+        }
+
+        const percentage = this.calculateSubjectPercentage(adjusted, credits);
+        const tier = this.getSubjectTier(adjusted, threshold, credits);
+
+        return {
+            percentage: percentage,
+            status: tier.color,
+            tier: tier,
+            componentData: componentData
+        };
+    },
+
+    /**
+     * Tolerance for comparing averaged percentages against the threshold
+     */
+    EPSILON: 1e-9,
+
+    /**
+     * Get the components that count towards the subject average
+     * (components with no classes conducted are left out, as in calculateSubjectPercentage)
+     * @param {Object} components - LTPS components (raw data)
+     * @returns {Array} [type, comp] pairs
+     */
+    getCountedComponents(components) {
+        return Object.keys(components)
+            .filter(type => components[type].conducted > 0)
+            .map(type => [type, components[type]]);
+    },
+
+    /**
+     * Subject-level solver: smallest combined number of classes to attend,
+     * per component, so that the AVERAGED subject percentage reaches the threshold.
+     *
+     * Works on the weighted margins of getComponentMargin(). Attending one more
+     * class of a component raises its margin by a gain that never grows with
+     * further classes (it shrinks for an average of percentages and stays constant
+     * when pooled). Because gains only diminish, always attending in the component
+     * with the largest next gain yields the minimum total.
+     * Component minimums (threshold overrides) are met first, then the greedy
+     * continues from there.
+     *
+     * @param {Object} components - LTPS components (raw data)
+     * @param {number} threshold - Target percentage
+     * @param {Object} componentMinimums - Optional per-component targets { P: 85 }
+     * @param {Object} credits - Course credits (CREDIT_WEIGHTED only)
+     * @returns {Object} { total, perComponent } - total is Infinity if unreachable
+     */
+    solveSubjectClassesNeeded(components, threshold, componentMinimums = {}, credits = null) {
+        const counted = this.getCountedComponents(components);
+        const plan = { total: 0, perComponent: {} };
+        if (counted.length === 0) return plan;
+
+        const activeCredits = this.getActiveCredits(counted, credits);
+        const extra = counted.map(() => 0);
+        const marginAt = (i, x) => {
+            const [type, comp] = counted[i];
+            return this.getComponentMargin(
+                type, comp.attended + x, comp.conducted + x, comp.tcbr || 0, comp.excused || 0, threshold, activeCredits
+            );
+        };
+
+        for (let i = 0; i < counted.length; i++) {
+            const [type, comp] = counted[i];
+            if (componentMinimums[type] === undefined) continue;
+
+            extra[i] = this.classesNeededToReachThreshold(
+                comp.attended, comp.conducted, componentMinimums[type], comp.tcbr || 0, comp.excused || 0
+            );
+            if (extra[i] === Infinity) {
+                return { total: Infinity, perComponent: {} };
+            }
+            plan.total += extra[i];
+        }
+
+        let sum = counted.reduce((acc, _, i) => acc + marginAt(i, extra[i]), 0);
+
+        // Edge case: 100% average needs every component at 100%, which missed classes rule out
+        if (threshold >= 100 && sum < -this.EPSILON) {
+            return { total: Infinity, perComponent: {} };
+        }
+
+        const MAX_CLASSES = 300; // Sanity cap, same as the display cap
+
+        while (sum < -this.EPSILON && plan.total < MAX_CLASSES) {
+            let bestIndex = 0;
+            let bestGain = -Infinity;
+
+            for (let i = 0; i < counted.length; i++) {
+                const gain = marginAt(i, extra[i] + 1) - marginAt(i, extra[i]);
+                // Ties (e.g. every class is worth the same when pooled) go to the first component
+                if (gain > bestGain + this.EPSILON) {
+                    bestGain = gain;
+                    bestIndex = i;
+                }
+            }
+
+            sum += bestGain;
+            extra[bestIndex]++;
+            plan.total++;
+        }
+
+        counted.forEach(([type], i) => {
+            if (extra[i] > 0) plan.perComponent[type] = extra[i];
+        });
+
+        return plan;
+    },
+
+    /**
+     * Subject-level solver: largest combined number of classes that can be
+     * skipped, per component, while the AVERAGED subject percentage stays at or
+     * above the threshold (and overridden components at or above their own).
+     *
+     * @param {Object} components - LTPS components (raw data)
+     * @param {number} threshold - Minimum percentage
+     * @param {Object} componentMinimums - Optional per-component minimums { P: 85 }
+     * @param {Object} credits - Course credits (CREDIT_WEIGHTED only)
+     * @returns {Object} { total, perComponent }
+     */
+    solveSubjectSafeSkips(components, threshold, componentMinimums = {}, credits = null) {
+        const counted = this.getCountedComponents(components);
+        const plan = { total: 0, perComponent: {} };
+        if (counted.length === 0) return plan;
+
+        const MAX_PER_COMPONENT = 100; // Sanity cap, same as classesCanSkip()
+        const activeCredits = this.getActiveCredits(counted, credits);
+
+        const optionLists = counted.map(([type, comp]) => {
+            const min = componentMinimums[type] === undefined ? -Infinity : componentMinimums[type];
+            const tcbr = comp.tcbr || 0;
+            const excused = comp.excused || 0;
+            const options = [];
+            for (let y = 0; y <= MAX_PER_COMPONENT; y++) {
+                if (this.calculateComponentPercentage(comp.attended, comp.conducted + y, tcbr, excused) < min - this.EPSILON) break;
+                options.push({
+                    skips: y,
+                    value: this.getComponentMargin(type, comp.attended, comp.conducted + y, tcbr, excused, threshold, activeCredits)
+                });
+            }
+            return options;
+        });
+
+        // A component already below its own minimum leaves no room to skip
+        if (optionLists.some(options => options.length === 0)) return plan;
+
+        const picked = this.chooseSkipOptions(optionLists, 0, MAX_PER_COMPONENT);
+        if (!picked) return plan;
+
+        counted.forEach(([type], i) => {
+            const skips = optionLists[i][picked[i]].skips;
+            if (skips > 0) {
+                plan.perComponent[type] = skips;
+                plan.total += skips;
+            }
+        });
+
+        return plan;
+    },
+
+    /**
+     * Pick one skip option per component so that the total number of skipped
+     * classes is as large as possible while the sum of component values
+     * stays at or above `target`.
+     *
+     * Skipping loses LESS with every further class in the same component, so a
+     * greedy pick is not optimal here. Instead, a small dynamic program finds, for
+     * every total k, the combination that keeps the highest value sum.
+     *
+     * @param {Array<Array<Object>>} optionLists - Per component, allowed choices
+     *        [{ skips, value }] where value is the component's margin after those skips
+     * @param {number} target - Minimum sum of component values
+     * @param {number} maxTotal - Cap on the total number of skips
+     * @returns {Array<number>|null} Chosen option index per component, or null if nothing is feasible
+     */
+    chooseSkipOptions(optionLists, target, maxTotal = Infinity) {
+        // best[k] = highest value sum with exactly k skips in total
+        let best = [0];
+        const choices = [];
+
+        for (const options of optionLists) {
+            const maxSkips = Math.max(...options.map(option => option.skips));
+            const next = new Array(best.length + maxSkips).fill(-Infinity);
+            const choice = new Array(next.length).fill(-1);
+
+            for (let k = 0; k < best.length; k++) {
+                if (best[k] === -Infinity) continue;
+
+                options.forEach((option, index) => {
+                    const value = best[k] + option.value;
+                    if (value > next[k + option.skips]) {
+                        next[k + option.skips] = value;
+                        choice[k + option.skips] = index;
+                    }
+                });
+            }
+
+            best = next;
+            choices.push(choice);
+        }
+
+        // Largest total that still keeps the target
+        let total = -1;
+        for (let k = 0; k < best.length && k <= maxTotal; k++) {
+            if (best[k] >= target - this.EPSILON) total = k;
+        }
+        if (total < 0) return null;
+
+        // Walk the choices back to one option per component
+        const picked = new Array(optionLists.length);
+        let remaining = total;
+        for (let i = optionLists.length - 1; i >= 0; i--) {
+            picked[i] = choices[i][remaining];
+            remaining -= optionLists[i][picked[i]].skips;
+        }
+
+        return picked;
+    },
+
+    /**
+     * Format a date as a local "YYYY-MM-DD" key
+     * @param {Date} date - Date
+     * @returns {string} Date key
+     */
+    toDateKey(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    /**
+     * Parse a "YYYY-MM-DD" key as a local date
+     * @param {string} key - Date key
+     * @returns {Date|null} Local midnight of that day, or null if invalid
+     */
+    fromDateKey(key) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key || '');
+        if (!match) return null;
+        return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    },
+
+    /**
+     * List the dated sessions of a weekly schedule between two dates
+     * @param {Object} weeklySchedule - { L: [{ day, sessions }], ... } (day as in Date.getDay())
+     * @param {Date} fromDate - First day included
+     * @param {Date} toDate - Last day included
+     * @returns {Array} [{ date: "YYYY-MM-DD", type, sessions }] in chronological order
+     */
+    listScheduledSessions(weeklySchedule, fromDate, toDate) {
+        const sessions = [];
+        const types = Object.keys(weeklySchedule || {});
+        const day = new Date(fromDate.getFullYear(), fromDate.getMonth(), fromDate.getDate());
+        const last = new Date(toDate.getFullYear(), toDate.getMonth(), toDate.getDate());
+
+        while (day <= last) {
+            for (const type of types) {
+                for (const entry of weeklySchedule[type]) {
+                    if (entry.day === day.getDay() && entry.sessions > 0) {
+                        sessions.push({
+                            date: this.toDateKey(day),
+                            type: type,
+                            slot: entry.slot || '',
+                            sessions: entry.sessions
+                        });
+                    }
+                }
+            }
+            day.setDate(day.getDate() + 1);
+        }
+
+        return sessions;
+    },
+
+    /**
+     * Semester-end projection for a subject
+     *
+     * Remaining classes are counted from the weekly schedule, starting the day
+     * AFTER `today` (today's classes are assumed to be in the current ERP numbers)
+     * up to and including the semester end date.
+     *
+     * - bestPercentage: every remaining class attended
+     * - worstPercentage: every remaining class missed
+     * - pointOfNoReturn: date of the first class that, if it and every class
+     *   before it are missed, leaves the threshold out of reach even when
+     *   everything afterwards is attended (null if that never happens)
+     *
+     * @param {Object} components - LTPS components (raw data)
+     * @param {Object} weeklySchedule - { L: [{ day, sessions }], ... }
+     * @param {Date} today - Current date
+     * @param {Date} semesterEnd - Last day of classes
+     * @param {number} threshold - Minimum percentage
+     * @param {Object} credits - Course credits (CREDIT_WEIGHTED only)
+     * @returns {Object} Projection results
+     */
+    projectSemesterEnd(components, weeklySchedule, today, semesterEnd, threshold, credits = null) {
+        const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+        const sessions = this.listScheduledSessions(weeklySchedule, tomorrow, semesterEnd)
+            .filter(session => components[session.type]);
+
+        const remaining = {};
+        for (const type of Object.keys(components)) remaining[type] = 0;
+        for (const session of sessions) remaining[session.type] += session.sessions;
+
+        // Subject percentage if `missed[type]` of the remaining classes are missed
+        const percentageWith = (missed) => {
+            const projected = {};
+            for (const type of Object.keys(components)) {
+                const comp = components[type];
+                projected[type] = {
+                    conducted: comp.conducted + remaining[type],
+                    attended: comp.attended + remaining[type] - (missed[type] || 0),
+                    tcbr: comp.tcbr || 0,
+                    excused: comp.excused || 0
+                };
+            }
+            return this.calculateSubjectPercentage(projected, credits);
+        };
+
+        const bestPercentage = percentageWith({});
+        const worstPercentage = percentageWith(remaining);
+        const reachable = bestPercentage >= threshold - this.EPSILON;
+
+        // Miss classes one at a time in date order until the threshold is lost
+        let pointOfNoReturn = null;
+        if (reachable && worstPercentage < threshold - this.EPSILON) {
+            const missed = {};
+            for (const session of sessions) {
+                missed[session.type] = (missed[session.type] || 0) + session.sessions;
+                if (percentageWith(missed) < threshold - this.EPSILON) {
+                    pointOfNoReturn = session.date;
+                    break;
+                }
+            }
+        }
+
+        return {
+            remaining: remaining,
+            totalRemaining: sessions.reduce((sum, session) => sum + session.sessions, 0),
+            bestPercentage: bestPercentage,
+            worstPercentage: worstPercentage,
+            reachable: reachable,
+            safeEvenIfAllMissed: worstPercentage >= threshold - this.EPSILON,
+            pointOfNoReturn: pointOfNoReturn
+        };
+    },
+
+    /**
+     * Minimum new classes in the window before a pace is estimated
+     */
+    FORECAST_MIN_CLASSES: 3,
+
+    /**
+     * Percentage points between the recent pace and the current percentage
+     * below which a subject counts as "stable"
+     */
+    TREND_MARGIN: 2,
+
+    /**
+     * Recent attendance pace of a course, from the snapshot history
+     *
+     * The baseline is the newest snapshot taken at or before the start of the
+     * window (`weeks` before `now`), or the oldest one if history is shorter.
+     * Per component, the classes held and attended since then give:
+     * - rate: share of new classes attended, with a 95% confidence range
+     *   (Wilson score interval, so a handful of classes gives a wide range)
+     * - perDay: classes held per day, to project when there is no timetable
+     *
+     * @param {Array} snapshots - History snapshots, oldest first ({ timestamp, lastConfirmedAt, subjects })
+     * @param {string} courseCode - Course code
+     * @param {Object} components - Current LTPS components (raw data)
+     * @param {Date} now - Time of the current data
+     * @param {number} weeks - Window length in weeks
+     * @returns {Object|null} { since, days, newConducted, components }, null if too few new classes
+     */
+    estimatePace(snapshots, courseCode, components, now, weeks) {
+        const windowStart = now.getTime() - weeks * 7 * 24 * 60 * 60 * 1000;
+        const withCourse = snapshots.filter(s => s.subjects[courseCode] && new Date(s.timestamp) < now);
+        if (withCourse.length === 0) return null;
+
+        const before = withCourse.filter(s => new Date(s.timestamp).getTime() <= windowStart);
+        const baseline = before.length > 0 ? before[before.length - 1] : withCourse[0];
+        const baselineComponents = baseline.subjects[courseCode].components || {};
+
+        // Classes held after the baseline was last confirmed unchanged
+        const since = new Date(baseline.lastConfirmedAt || baseline.timestamp);
+        const days = Math.max(1, (now - since) / (24 * 60 * 60 * 1000));
+
+        const pace = { since: since.toISOString(), days: days, newConducted: 0, components: {} };
+
+        for (const type of Object.keys(components)) {
+            const comp = components[type];
+            const base = baselineComponents[type] || { conducted: 0, attended: 0 };
+            const newConducted = comp.conducted - base.conducted;
+            const newAttended = Math.min(newConducted, Math.max(0, comp.attended - base.attended));
+            if (newConducted <= 0) continue;
+
+            const range = this.getRateRange(newAttended, newConducted);
+            pace.components[type] = {
+                newConducted: newConducted,
+                newAttended: newAttended,
+                rate: newAttended / newConducted,
+                low: range.low,
+                high: range.high,
+                perDay: newConducted / days
+            };
+            pace.newConducted += newConducted;
+        }
+
+        return pace.newConducted >= this.FORECAST_MIN_CLASSES ? pace : null;
+    },
+
+    /**
+     * 95% confidence range of an attendance rate (Wilson score interval)
+     * @param {number} attended - Classes attended
+     * @param {number} conducted - Classes held
+     * @returns {Object} { low, high } as shares (0-1)
+     */
+    getRateRange(attended, conducted) {
+        const z = 1.96;
+        const p = attended / conducted;
+        const denominator = 1 + z * z / conducted;
+        const centre = (p + z * z / (2 * conducted)) / denominator;
+        const spread = z * Math.sqrt(p * (1 - p) / conducted + z * z / (4 * conducted * conducted)) / denominator;
+
+        return { low: Math.max(0, centre - spread), high: Math.min(1, centre + spread) };
+    },
+
+    /**
+     * Forecast a subject's percentage on a future date if the recent pace holds
+     *
+     * Future classes come from the weekly schedule when the course has one,
+     * otherwise from the recent number of classes per day. Each component keeps
+     * attending at its recent rate (low / high: the ends of its confidence range).
+     *
+     * - trend: "improving" / "declining" when the recent pace is more than
+     *   TREND_MARGIN points above / below the current percentage, else "stable"
+     *
+     * @param {Object} components - Current LTPS components (raw data)
+     * @param {Object} pace - Result of estimatePace()
+     * @param {Date} today - Current date
+     * @param {Date} targetDate - Date to forecast
+     * @param {Object} options - { credits: course credits (CREDIT_WEIGHTED only),
+     *        weeklySchedule: { L: [{ day, sessions }], ... } }
+     * @returns {Object} { date, currentPercentage, pacePercentage, percentage, low, high, trend }
+     */
+    forecastSubject(components, pace, today, targetDate, options = {}) {
+        const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+        const days = Math.max(0, (targetDate - today) / (24 * 60 * 60 * 1000));
+
+        const upcoming = {};
+        if (options.weeklySchedule) {
+            for (const session of this.listScheduledSessions(options.weeklySchedule, tomorrow, targetDate)) {
+                upcoming[session.type] = (upcoming[session.type] || 0) + session.sessions;
+            }
+        }
+
+        // Subject percentage with every component attending at `rateKey` of its pace
+        const projectWith = (rateKey) => {
+            const projected = {};
+            for (const type of Object.keys(components)) {
+                const comp = components[type];
+                const compPace = pace.components[type];
+                const future = options.weeklySchedule
+                    ? (upcoming[type] || 0)
+                    : (compPace ? compPace.perDay * days : 0);
+                const rate = compPace
+                    ? compPace[rateKey]
+                    : (comp.conducted > 0 ? (comp.attended + (comp.excused || 0)) / comp.conducted : 1);
+
+                projected[type] = {
+                    conducted: comp.conducted + future,
+                    attended: comp.attended + rate * future,
+                    tcbr: comp.tcbr || 0,
+                    excused: comp.excused || 0
+                };
+            }
+            return this.calculateSubjectPercentage(projected, options.credits);
+        };
+
+        // The recent classes on their own, weighted like the subject
+        const recent = {};
+        for (const type of Object.keys(pace.components)) {
+            recent[type] = { conducted: pace.components[type].newConducted, attended: pace.components[type].newAttended };
+        }
+
+        const currentPercentage = this.calculateSubjectPercentage(components, options.credits);
+        const pacePercentage = this.calculateSubjectPercentage(recent, options.credits);
+        const difference = pacePercentage - currentPercentage;
+
+        return {
+            date: this.toDateKey(targetDate),
+            currentPercentage: currentPercentage,
+            pacePercentage: pacePercentage,
+            percentage: projectWith('rate'),
+            low: projectWith('low'),
+            high: projectWith('high'),
+            trend: difference > this.TREND_MARGIN ? 'improving'
+                : (difference < -this.TREND_MARGIN ? 'declining' : 'stable')
+        };
+    },
+
+    /**
+     * Bunk planner: choose which upcoming dated sessions to skip across all
+     * subjects so that the total number of skipped classes is as large as
+     * possible while every subject stays at or above the threshold at `toDate`.
+     *
+     * Each timetable slot is skipped or attended as a whole (a 2-session lab
+     * cannot be half-skipped). Within a component the LATEST slots are skipped
+     * first: the end result is the same, but the buffer is kept for as long as
+     * possible in case plans change.
+     *
+     * @param {Object} subjects - Raw subjects object { code: { courseName, components } }
+     * @param {Object} timetableCourses - Timetable courses { code: { L: [{ day, slot, sessions }] } }
+     * @param {Date} today - Current date (planning starts the day after)
+     * @param {Date} toDate - Last day to plan for
+     * @param {number} threshold - Minimum percentage
+     * @param {Object} options - { perComponent: also keep every component above the threshold,
+     *        thresholdOverrides: per-course / per-component overrides (see getSubjectThresholds),
+     *        courseCredits: { code: { L: 3, ... } } for CREDIT_WEIGHTED }
+     * @returns {Object} { sessions, subjects, unscheduled, totalSessions, totalSkips }
+     */
+    planBunks(subjects, timetableCourses, today, toDate, threshold, options = {}) {
+        const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+        const plan = { sessions: [], subjects: [], unscheduled: [], totalSessions: 0, totalSkips: 0 };
+
+        for (const [code, subject] of Object.entries(subjects)) {
+            const components = subject.components;
+            const thresholds = this.getSubjectThresholds(code, threshold, options.thresholdOverrides);
+            const credits = (options.courseCredits || {})[code] || null;
+            const sessions = this.listScheduledSessions(timetableCourses[code], tomorrow, toDate)
+                .filter(session => components[session.type])
+                .map(session => ({
+                    ...session,
+                    courseCode: code,
+                    courseName: subject.courseName,
+                    action: 'attend'
+                }));
+
+            if (sessions.length === 0) {
+                plan.unscheduled.push(code);
+                continue;
+            }
+
+            // Components that count towards the final average
+            const counted = Object.entries(components)
+                .map(([type, comp]) => {
+                    const slots = sessions.filter(session => session.type === type);
+                    const remaining = slots.reduce((sum, session) => sum + session.sessions, 0);
+                    return { type, comp, slots, remaining };
+                })
+                .filter(entry => entry.comp.conducted + entry.remaining > 0);
+            const activeCredits = this.getActiveCredits(counted.map(entry => [entry.type, entry.comp]), credits);
+
+            // Lowest final percentage allowed per component
+            const minimumOf = (type) => {
+                if (thresholds.components[type] !== undefined) return thresholds.components[type];
+                return options.perComponent ? thresholds.subject : -Infinity;
+            };
+
+            // Option j = skip the last j slots of the component
+            const optionLists = counted.map(({ type, comp, slots, remaining }) => {
+                const min = minimumOf(type);
+                const componentOptions = [];
+                let skips = 0;
+
+                for (let j = 0; j <= slots.length; j++) {
+                    if (j > 0) skips += slots[slots.length - j].sessions;
+
+                    const attended = comp.attended + remaining - skips;
+                    const conducted = comp.conducted + remaining;
+                    const percentage = this.calculateComponentPercentage(attended, conducted, comp.tcbr || 0, comp.excused || 0);
+
+                    if (j === 0 || percentage >= min - this.EPSILON) {
+                        componentOptions.push({
+                            skips: skips,
+                            slotsSkipped: j,
+                            percentage: percentage,
+                            value: this.getComponentMargin(
+                                type, attended, conducted, comp.tcbr || 0, comp.excused || 0, thresholds.subject, activeCredits
+                            )
+                        });
+                    }
+                }
+                return componentOptions;
+            });
+
+            const picked = this.chooseSkipOptions(optionLists, 0);
+            const safe = picked !== null &&
+                counted.every(({ type }, i) => optionLists[i][0].percentage >= minimumOf(type) - this.EPSILON);
+
+            let skips = 0;
+            const projected = {};
+
+            counted.forEach((entry, i) => {
+                const option = safe ? optionLists[i][picked[i]] : optionLists[i][0];
+                if (safe) {
+                    entry.slots.slice(entry.slots.length - option.slotsSkipped)
+                        .forEach(session => { session.action = 'skip'; });
+                }
+                skips += option.skips;
+                projected[entry.type] = {
+                    conducted: entry.comp.conducted + entry.remaining,
+                    attended: entry.comp.attended + entry.remaining - option.skips,
+                    tcbr: entry.comp.tcbr || 0,
+                    excused: entry.comp.excused || 0
+                };
+            });
+
+            const finalPercentage = this.calculateSubjectPercentage(projected, credits);
+
+            plan.subjects.push({
+                courseCode: code,
+                courseName: subject.courseName,
+                sessions: sessions.reduce((sum, session) => sum + session.sessions, 0),
+                skips: skips,
+                finalPercentage: finalPercentage,
+                threshold: thresholds.subject,
+                safe: safe
+            });
+            plan.sessions.push(...sessions);
+        }
+
+        plan.sessions.sort((a, b) =>
+            a.date.localeCompare(b.date) || a.slot.localeCompare(b.slot) || a.courseCode.localeCompare(b.courseCode)
+        );
+        plan.totalSessions = plan.subjects.reduce((sum, entry) => sum + entry.sessions, 0);
+        plan.totalSkips = plan.subjects.reduce((sum, entry) => sum + entry.skips, 0);
+
+        return plan;
+    },
+
+    /**
+     * Leave planner: what a planned absence does to every subject
+     *
+     * Every timetable session from `fromDate` to `toDate` (inclusive) is missed
+     * and every session between tomorrow and the leave is attended, so the
+     * percentages are as of the last day of the leave.
+     *
+     * A subject is at risk when it would meet its thresholds by then by
+     * attending everything, but not with the leave. When any subject is at risk,
+     * `suggestion` is the longest stretch of the chosen dates (earliest first)
+     * that puts none at risk: the smallest cut to the leave that keeps
+     * everything safe. It is null when no single day is safe, or none is needed.
+     *
+     * @param {Object} subjects - Raw subjects object { code: { courseName, components } }
+     * @param {Object} timetableCourses - Timetable courses { code: { L: [{ day, slot, sessions }] } }
+     * @param {Date} today - Current date (sessions are counted from the day after)
+     * @param {Date} fromDate - First day of the leave
+     * @param {Date} toDate - Last day of the leave
+     * @param {number} threshold - Minimum percentage
+     * @param {Object} options - { thresholdOverrides: per-course / per-component overrides
+     *        (see getSubjectThresholds), courseCredits: { code: { L: 3, ... } } for CREDIT_WEIGHTED }
+     * @returns {Object} { from, to, sessions, subjects, unscheduled, totalMissed, safe, suggestion }
+     */
+    planLeave(subjects, timetableCourses, today, fromDate, toDate, threshold, options = {}) {
+        const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+        const fromKey = this.toDateKey(fromDate);
+        const toKey = this.toDateKey(toDate);
+        const courses = [];
+        const unscheduled = [];
+
+        for (const [code, subject] of Object.entries(subjects)) {
+            if (!timetableCourses[code]) {
+                unscheduled.push(code);
+                continue;
+            }
+
+            courses.push({
+                code: code,
+                subject: subject,
+                thresholds: this.getSubjectThresholds(code, threshold, options.thresholdOverrides),
+                credits: (options.courseCredits || {})[code] || null,
+                sessions: this.listScheduledSessions(timetableCourses[code], tomorrow, toDate)
+                    .filter(session => subject.components[session.type])
+                    .map(session => ({
+                        ...session,
+                        courseCode: code,
+                        courseName: subject.courseName,
+                        action: 'miss'
+                    }))
+            });
+        }
+
+        // A course as of the leave's last day with the sessions from startKey to endKey missed
+        const evaluate = (course, startKey, endKey) => {
+            const components = course.subject.components;
+            const projected = {};
+            const missed = {};
+
+            for (const type of Object.keys(components)) {
+                const comp = components[type];
+                projected[type] = {
+                    conducted: comp.conducted,
+                    attended: comp.attended,
+                    tcbr: comp.tcbr || 0,
+                    excused: comp.excused || 0
+                };
+                missed[type] = 0;
+            }
+            for (const session of course.sessions) {
+                projected[session.type].conducted += session.sessions;
+                if (session.date >= startKey && session.date <= endKey) {
+                    missed[session.type] += session.sessions;
+                } else {
+                    projected[session.type].attended += session.sessions;
+                }
+            }
+
+            const percentage = this.calculateSubjectPercentage(projected, course.credits);
+            let safe = percentage >= course.thresholds.subject - this.EPSILON;
+            const componentResults = {};
+
+            for (const type of Object.keys(components)) {
+                const comp = projected[type];
+                const isOverridden = course.thresholds.components[type] !== undefined;
+                const compThreshold = isOverridden ? course.thresholds.components[type] : course.thresholds.subject;
+                const compPercentage = this.calculateComponentPercentage(comp.attended, comp.conducted, comp.tcbr, comp.excused);
+                const below = comp.conducted > 0 && compPercentage < compThreshold - this.EPSILON;
+
+                // An overridden component has to meet its own threshold as well
+                if (isOverridden && below) safe = false;
+
+                componentResults[type] = {
+                    missed: missed[type],
+                    currentPercentage: this.calculateComponentPercentage(
+                        components[type].attended, components[type].conducted,
+                        components[type].tcbr || 0, components[type].excused || 0
+                    ),
+                    percentage: compPercentage,
+                    threshold: compThreshold,
+                    below: below
+                };
+            }
+
+            return {
+                percentage: percentage,
+                safe: safe,
+                missed: Object.values(missed).reduce((sum, count) => sum + count, 0),
+                components: componentResults
+            };
+        };
+
+        const plan = { from: fromKey, to: toKey, sessions: [], subjects: [], unscheduled: unscheduled, totalMissed: 0 };
+
+        for (const course of courses) {
+            const withLeave = evaluate(course, fromKey, toKey);
+            const withoutLeave = evaluate(course, '', '');
+
+            plan.subjects.push({
+                courseCode: course.code,
+                courseName: course.subject.courseName,
+                threshold: course.thresholds.subject,
+                currentPercentage: this.calculateSubjectPercentage(course.subject.components, course.credits),
+                percentage: withLeave.percentage,
+                missed: withLeave.missed,
+                components: withLeave.components,
+                safe: withLeave.safe,
+                safeWithoutLeave: withoutLeave.safe,
+                atRisk: withoutLeave.safe && !withLeave.safe
+            });
+            plan.sessions.push(...course.sessions.filter(session => session.date >= fromKey));
+            plan.totalMissed += withLeave.missed;
+        }
+
+        plan.sessions.sort((a, b) =>
+            a.date.localeCompare(b.date) || a.slot.localeCompare(b.slot) || a.courseCode.localeCompare(b.courseCode)
+        );
+        plan.safe = plan.subjects.every(subject => !subject.atRisk);
+        plan.suggestion = null;
+
+        if (!plan.safe) {
+            const days = [];
+            for (const day = new Date(fromDate); day <= toDate; day.setDate(day.getDate() + 1)) {
+                days.push(this.toDateKey(day));
+            }
+            const canStaySafe = courses.filter((course, i) => plan.subjects[i].safeWithoutLeave);
+
+            // Longest first, then earliest
+            const findSafeWindow = () => {
+                for (let length = days.length - 1; length > 0; length--) {
+                    for (let start = 0; start + length <= days.length; start++) {
+                        const startKey = days[start];
+                        const endKey = days[start + length - 1];
+                        if (canStaySafe.every(course => evaluate(course, startKey, endKey).safe)) {
+                            return { from: startKey, to: endKey, days: length };
+                        }
+                    }
+                }
+                return null;
+            };
+            plan.suggestion = findSafeWindow();
+        }
+
+        return plan;
+    },
+
     /**
      * Calculate overall subject classes needed/can skip
      * Based on the average of component percentages
      * 
      * @param {Object} components - LTPS components (raw data)
      * @param {number} threshold - Target percentage
+     * @param {Object} componentThresholds - Optional per-component overrides { P: 85 }
+     * @param {Object} credits - Course credits (CREDIT_WEIGHTED only)
      * @returns {Object} Calculation results for the subject
      */
-    calculateSubjectSimulation(components, threshold) {
+    calculateSubjectSimulation(components, threshold, componentThresholds = {}, credits = null) {
         const componentTypes = Object.keys(components);
         if (componentTypes.length === 0) {
-            return { status: 'safe', classesNeeded: 0, canSkip: 0 };
+            const tier = this.getTier(100, threshold);
+            return { status: tier.color, tier: tier, threshold: threshold, meetsThresholds: true, classesNeeded: 0, canSkip: 0 };
         }
 
-        const currentPercentage = this.calculateSubjectPercentage(components);
-        const status = this.getStatus(currentPercentage, threshold);
+        const currentPercentage = this.calculateSubjectPercentage(components, credits);
+        const tier = this.getSubjectTier(components, threshold, credits);
 
         // Calculate component-wise data
         const componentData = {};
         let weakestComponent = null;
         let weakestPercentage = 100;
-        let totalClassesNeeded = 0;
-        let minCanSkip = Infinity;
+
+        let meetsThresholds = currentPercentage >= threshold - this.EPSILON;
 
         for (const type of componentTypes) {
             const comp = components[type];
             const tcbr = comp.tcbr || 0;
-            const compPercentage = this.calculateComponentPercentage(comp.attended, comp.conducted, tcbr);
-            const compNeeded = this.classesNeededToReachThreshold(comp.attended, comp.conducted, threshold, tcbr);
-            const compCanSkip = this.classesCanSkip(comp.attended, comp.conducted, threshold, tcbr);
-            const simulation = this.simulateMissNextClass(comp.attended, comp.conducted, threshold, tcbr);
+            const excused = comp.excused || 0;
+            const isOverridden = componentThresholds[type] !== undefined;
+            const compThreshold = isOverridden ? componentThresholds[type] : threshold;
+            const compPercentage = this.calculateComponentPercentage(comp.attended, comp.conducted, tcbr, excused);
+            const compNeeded = this.classesNeededToReachThreshold(comp.attended, comp.conducted, compThreshold, tcbr, excused);
+            const compCanSkip = this.classesCanSkip(comp.attended, comp.conducted, compThreshold, tcbr, excused);
+            const simulation = this.simulateMissNextClass(comp.attended, comp.conducted, compThreshold, tcbr, excused);
+
+            // An overridden component has to meet its own threshold as well
+            if (isOverridden && comp.conducted > 0 && compPercentage < compThreshold - this.EPSILON) {
+                meetsThresholds = false;
+            }
 
             componentData[type] = {
                 percentage: compPercentage,
+                threshold: compThreshold,
+                isOverridden: isOverridden,
                 classesNeeded: compNeeded,
                 canSkip: compCanSkip,
-                status: this.getStatus(compPercentage, threshold),
+                status: this.getStatus(compPercentage, compThreshold),
                 nextClassSimulation: simulation,
                 // Include raw values for display
                 conducted: comp.conducted,
                 attended: comp.attended,
-                effectiveAttended: this.getEffectiveAttended(comp.attended, tcbr),
-                tcbr: tcbr
+                effectiveAttended: this.getEffectiveAttended(comp.attended, tcbr, excused),
+                tcbr: tcbr,
+                excused: excused,
+                // ERP-displayed percentage and whether the current mode reproduces it
+                erpPercentage: typeof comp.erpPercentage === 'number' ? comp.erpPercentage : null,
+                erpMismatch: this.hasErpMismatch(comp)
             };
 
             // Track weakest component
@@ -306,57 +1302,86 @@ const AttendanceCalculator = {
                 weakestPercentage = compPercentage;
                 weakestComponent = type;
             }
-
-            // Track total classes needed
-            if (compNeeded > 0) {
-                totalClassesNeeded += compNeeded;
-            }
-
-            // Track minimum skip capability
-            if (compCanSkip < minCanSkip) {
-                minCanSkip = compCanSkip;
-            }
         }
 
+        // Subject-level plans work on the averaged percentage, so a strong
+        // component can carry a weak one
+        const attendPlan = this.solveSubjectClassesNeeded(components, threshold, componentThresholds, credits);
+        const skipPlan = this.solveSubjectSafeSkips(components, threshold, componentThresholds, credits);
+
         return {
             percentage: currentPercentage,
-            status: status,
-            dangerScore: this.calculateDangerScore(currentPercentage, threshold),
+            threshold: threshold,
+            meetsThresholds: meetsThresholds,
+            status: tier.color,
+            tier: tier,
+            dangerScore: this.calculateDangerScore(currentPercentage, threshold, tier),
             componentData: componentData,
             weakestComponent: weakestComponent,
             weakestPercentage: weakestPercentage,
-            // For below threshold: sum of all classes needed
-            totalClassesNeeded: Math.min(totalClassesNeeded, 300), // Sanity cap
-            // For above threshold: minimum across all components (bottleneck)
-            canSkip: minCanSkip === Infinity ? 0 : Math.min(minCanSkip, 100) // Sanity cap
+            // For below threshold: fewest classes (per component) to lift the average
+            attendPlan: attendPlan,
+            totalClassesNeeded: attendPlan.total,
+            // For above threshold: most classes (per component) the average can absorb
+            skipPlan: skipPlan,
+            canSkip: skipPlan.total
+        };
+    },
+
+    /**
+     * Resolve the thresholds of one subject
+     * The course override replaces the global threshold; component overrides
+     * only apply to the components they name.
+     *
+     * @param {string} courseCode - Course code
+     * @param {number} threshold - Global threshold
+     * @param {Object} overrides - { "22CS2233": { threshold: 90, components: { P: 85 } } }
+     * @returns {Object} { subject, components } - components holds the overridden types only
+     */
+    getSubjectThresholds(courseCode, threshold, overrides = {}) {
+        const override = overrides[courseCode] || {};
+        return {
+            subject: typeof override.threshold === 'number' ? override.threshold : threshold,
+            components: { ...(override.components || {}) }
         };
     },
 
     /**
      * Process all subjects and return enriched data
      * @param {Object} rawData - Raw scraped data
-     * @param {number} threshold - Attendance threshold
+     * @param {number} threshold - Attendance threshold (default for every subject)
+     * @param {Object} thresholdOverrides - Per-course / per-component overrides (see getSubjectThresholds)
+     * @param {Object} courseCredits - { code: { L: 3, T: 1, P: 2, S: 0 } } for CREDIT_WEIGHTED
      * @returns {Array} Processed subjects with calculations
      */
-    processAllSubjects(rawData, threshold) {
+    processAllSubjects(rawData, threshold, thresholdOverrides = {}, courseCredits = {}) {
         if (!rawData || !rawData.subjects) return [];
 
         const processed = [];
 
         for (const subjectKey of Object.keys(rawData.subjects)) {
             const subject = rawData.subjects[subjectKey];
-            const simulation = this.calculateSubjectSimulation(subject.components, threshold);
+            const code = subject.courseCode || subjectKey;
+            const thresholds = this.getSubjectThresholds(code, threshold, thresholdOverrides);
+            const simulation = this.calculateSubjectSimulation(
+                subject.components,
+                thresholds.subject,
+                thresholds.components,
+                courseCredits[code] || null
+            );
 
             // Calculate totals across all components
             let totalConducted = 0;
             let totalAttended = 0;
+            let totalExcused = 0;
             let totalEffectiveAttended = 0;
 
             for (const compType of Object.keys(subject.components)) {
                 const comp = subject.components[compType];
                 totalConducted += comp.conducted;
                 totalAttended += comp.attended;
-                totalEffectiveAttended += this.getEffectiveAttended(comp.attended, comp.tcbr || 0);
+                totalExcused += comp.excused || 0;
+                totalEffectiveAttended += this.getEffectiveAttended(comp.attended, comp.tcbr || 0, comp.excused || 0);
             }
 
             processed.push({
@@ -365,8 +1390,9 @@ const AttendanceCalculator = {
                 components: subject.components,
                 totalConducted: totalConducted,
                 totalAttended: totalAttended,
+                totalExcused: totalExcused,
                 totalEffectiveAttended: totalEffectiveAttended,
-                totalAbsent: totalConducted - totalAttended,
+                totalAbsent: totalConducted - totalAttended - totalExcused,
                 ...simulation
             });
         }
@@ -374,6 +1400,20 @@ const AttendanceCalculator = {
         return processed;
     },
 
+    /**
+     * Apply stored settings (mode, aggregation, rules) and process all subjects
+     * @param {Object} rawData - Raw scraped data
+     * @param {Object} settings - Settings from AttendanceStorage.getSettings()
+     * @returns {Array} Processed subjects
+     */
+    processWithSettings(rawData, settings) {
+        this.setMode(settings.attendanceMode);
+        this.setAggregationMode(settings.aggregationMode);
+        this.setRules(AttendanceRules.resolve(settings.rulesPreset, settings.customRules));
+
+        return this.processAllSubjects(rawData, settings.threshold, settings.thresholdOverrides, settings.courseCredits);
+    },
+
     /**
      * Sort subjects by specified criteria
      * @param {Array} subjects - Processed subjects
@@ -407,41 +1447,28 @@ const AttendanceCalculator = {
      * @returns {Object} Aggregate stats
      */
     calculateAggregateStats(subjects, threshold) {
+        // Subject count per tier, best tier first
+        const tierCounts = this.getRules().tiers.map((tier, rank) => ({ tier: { ...tier, rank: rank }, count: 0 }));
+
         if (subjects.length === 0) {
             return {
                 totalSubjects: 0,
                 averageAttendance: 0,
+                tierCounts: tierCounts,
                 safeCount: 0,
-                borderlineCount: 0,
-                criticalCount: 0,
+                atRiskCount: 0,
                 mostAtRisk: null
             };
         }
 
         let totalPercentage = 0;
-        let safeCount = 0;
-        let borderlineCount = 0;
-        let criticalCount = 0;
         let mostAtRisk = null;
-        let lowestPercentage = 100;
 
         for (const subject of subjects) {
             totalPercentage += subject.percentage;
+            tierCounts[subject.tier.rank].count++;
 
-            switch (subject.status) {
-                case 'safe':
-                    safeCount++;
-                    break;
-                case 'borderline':
-                    borderlineCount++;
-                    break;
-                case 'critical':
-                    criticalCount++;
-                    break;
-            }
-
-            if (subject.percentage < lowestPercentage) {
-                lowestPercentage = subject.percentage;
+            if (!mostAtRisk || subject.dangerScore > mostAtRisk.dangerScore) {
                 mostAtRisk = subject;
             }
         }
@@ -449,19 +1476,285 @@ const AttendanceCalculator = {
         return {
             totalSubjects: subjects.length,
             averageAttendance: totalPercentage / subjects.length,
-            safeCount: safeCount,
-            borderlineCount: borderlineCount,
-            criticalCount: criticalCount,
+            tierCounts: tierCounts,
+            // Best tier vs every other tier
+            safeCount: tierCounts[0].count,
+            atRiskCount: subjects.length - tierCounts[0].count,
             mostAtRisk: mostAtRisk
         };
     },
 
+    /**
+     * Build a "since last sync" change report between two raw subjects objects
+     * (the `subjects[code].components[type]` shape from scrapeAttendanceData())
+     *
+     * Per component:
+     * - newConducted = current.conducted - previous.conducted
+     * - newAttended  = current.attended - previous.attended
+     * - newMissed    = newConducted - newAttended
+     *
+     * previousStatus / currentStatus are eligibility tier ids.
+     *
+     * @param {Object} previousSubjects - Subjects from the previous fetch
+     * @param {Object} currentSubjects - Subjects from the current fetch
+     * @param {number} threshold - Attendance threshold
+     * @param {Object} thresholdOverrides - Per-course / per-component overrides (see getSubjectThresholds)
+     * @param {Object} courseCredits - { code: { L: 3, ... } } for CREDIT_WEIGHTED
+     * @returns {Object} { hasChanges, subjects, totals }
+     */
+    diffSnapshots(previousSubjects, currentSubjects, threshold, thresholdOverrides = {}, courseCredits = {}) {
+        const previous = previousSubjects || {};
+        const current = currentSubjects || {};
+        const codes = new Set([...Object.keys(previous), ...Object.keys(current)]);
+        const emptyComponent = { conducted: 0, attended: 0, tcbr: 0 };
+
+        const subjects = [];
+        const totals = { newConducted: 0, newAttended: 0, newMissed: 0, statusChanges: 0 };
+
+        for (const code of codes) {
+            const before = previous[code];
+            const after = current[code];
+            const beforeComponents = before ? before.components : {};
+            const afterComponents = after ? after.components : {};
+            const types = new Set([...Object.keys(beforeComponents), ...Object.keys(afterComponents)]);
+            const thresholds = this.getSubjectThresholds(code, threshold, thresholdOverrides);
+            const credits = courseCredits[code] || null;
+
+            const components = [];
+
+            for (const type of types) {
+                const prevComp = beforeComponents[type] || emptyComponent;
+                const currComp = afterComponents[type] || emptyComponent;
+
+                const newConducted = currComp.conducted - prevComp.conducted;
+                const newAttended = currComp.attended - prevComp.attended;
+                const newTcbr = (currComp.tcbr || 0) - (prevComp.tcbr || 0);
+                const isAdded = !beforeComponents[type];
+                const isRemoved = !afterComponents[type];
+
+                if (!isAdded && !isRemoved && newConducted === 0 && newAttended === 0 && newTcbr === 0) {
+                    continue;
+                }
+
+                const previousPercentage = isAdded ? null
+                    : this.calculateComponentPercentage(prevComp.attended, prevComp.conducted, prevComp.tcbr || 0);
+                const currentPercentage = isRemoved ? null
+                    : this.calculateComponentPercentage(currComp.attended, currComp.conducted, currComp.tcbr || 0);
+                const compThreshold = thresholds.components[type] !== undefined ? thresholds.components[type] : thresholds.subject;
+                const previousStatus = previousPercentage === null ? null : this.getTier(previousPercentage, compThreshold).id;
+                const currentStatus = currentPercentage === null ? null : this.getTier(currentPercentage, compThreshold).id;
+
+                components.push({
+                    type: type,
+                    change: isAdded ? 'added' : (isRemoved ? 'removed' : 'changed'),
+                    newConducted: newConducted,
+                    newAttended: newAttended,
+                    newMissed: newConducted - newAttended,
+                    previousPercentage: previousPercentage,
+                    currentPercentage: currentPercentage,
+                    percentageChange: (previousPercentage === null || currentPercentage === null)
+                        ? null
+                        : currentPercentage - previousPercentage,
+                    previousStatus: previousStatus,
+                    currentStatus: currentStatus,
+                    statusChanged: previousStatus !== null && currentStatus !== null && previousStatus !== currentStatus
+                });
+            }
+
+            if (components.length === 0) continue;
+
+            const previousPercentage = before ? this.calculateSubjectPercentage(before.components, credits) : null;
+            const currentPercentage = after ? this.calculateSubjectPercentage(after.components, credits) : null;
+            const previousStatus = before ? this.getSubjectTier(before.components, thresholds.subject, credits).id : null;
+            const currentStatus = after ? this.getSubjectTier(after.components, thresholds.subject, credits).id : null;
+            const statusChanged = previousStatus !== null && currentStatus !== null && previousStatus !== currentStatus;
+
+            const subjectChange = {
+                courseCode: code,
+                courseName: (after || before).courseName,
+                change: !before ? 'added' : (!after ? 'removed' : 'changed'),
+                newConducted: 0,
+                newAttended: 0,
+                newMissed: 0,
+                previousPercentage: previousPercentage,
+                currentPercentage: currentPercentage,
+                percentageChange: (previousPercentage === null || currentPercentage === null)
+                    ? null
+                    : currentPercentage - previousPercentage,
+                previousStatus: previousStatus,
+                currentStatus: currentStatus,
+                statusChanged: statusChanged,
+                components: components
+            };
+
+            for (const comp of components) {
+                subjectChange.newConducted += comp.newConducted;
+                subjectChange.newAttended += comp.newAttended;
+                subjectChange.newMissed += comp.newMissed;
+            }
+
+            totals.newConducted += subjectChange.newConducted;
+            totals.newAttended += subjectChange.newAttended;
+            totals.newMissed += subjectChange.newMissed;
+            if (statusChanged) totals.statusChanges++;
+
+            subjects.push(subjectChange);
+        }
+
+        // Status changes first, then largest percentage movement
+        subjects.sort((a, b) =>
+            (b.statusChanged - a.statusChanged) ||
+            (Math.abs(b.percentageChange || 0) - Math.abs(a.percentageChange || 0))
+        );
+
+        return {
+            hasChanges: subjects.length > 0,
+            subjects: subjects,
+            totals: totals
+        };
+    },
+
+    /**
+     * Rounding styles the ERP may apply to its Percentage column
+     */
+    ERP_ROUNDINGS: {
+        round: 'rounded',
+        floor: 'rounded down',
+        ceil: 'rounded up'
+    },
+
+    /**
+     * Number of decimals the ERP showed for a component's percentage (at most 2)
+     * Uses the count the scraper read from the cell; data scraped before it was
+     * kept only has the parsed number, which has lost any trailing zeros.
+     * @param {Object} comp - { erpPercentage, erpDecimals }
+     * @returns {number} Decimal places
+     */
+    getErpDecimals(comp) {
+        if (typeof comp.erpDecimals === 'number') return Math.min(comp.erpDecimals, 2);
+
+        const text = String(comp.erpPercentage);
+        const dot = text.indexOf('.');
+        return dot === -1 ? 0 : Math.min(text.length - dot - 1, 2);
+    },
+
+    /**
+     * Round a percentage the way the ERP might
+     * @param {number} percentage - Exact percentage
+     * @param {string} rounding - Key of ERP_ROUNDINGS
+     * @param {number} decimals - Decimal places to keep
+     * @returns {number} Rounded percentage
+     */
+    roundPercentage(percentage, rounding, decimals) {
+        const factor = Math.pow(10, decimals);
+        const scaled = percentage * factor;
+
+        // EPSILON keeps 57.99999999 (float noise) from flooring to 57
+        switch (rounding) {
+            case 'floor':
+                return Math.floor(scaled + this.EPSILON) / factor;
+            case 'ceil':
+                return Math.ceil(scaled - this.EPSILON) / factor;
+            default:
+                return Math.round(scaled) / factor;
+        }
+    },
+
+    /**
+     * Check whether a mode and rounding reproduce a component's ERP percentage
+     * @param {Object} comp - { attended, conducted, tcbr, erpPercentage, erpDecimals }
+     * @param {string} mode - "ERP" or "TCBR_CORRECTED"
+     * @param {string} rounding - Key of ERP_ROUNDINGS
+     * @returns {boolean} True if the rounded result equals the ERP value
+     */
+    matchesErpPercentage(comp, mode, rounding) {
+        // The ERP's percentage leaves out excused sessions
+        const percentage = this.calculateComponentPercentage(comp.attended, comp.conducted, comp.tcbr || 0, 0, mode);
+        const decimals = this.getErpDecimals(comp);
+        return Math.abs(this.roundPercentage(percentage, rounding, decimals) - comp.erpPercentage) < 1e-6;
+    },
+
+    /**
+     * Whether a component can be cross-checked (ERP value present, classes conducted)
+     * @param {Object} comp - Raw component
+     * @returns {boolean} True if checkable
+     */
+    hasErpPercentage(comp) {
+        return typeof comp.erpPercentage === 'number' && comp.conducted > 0;
+    },
+
+    /**
+     * Check a component against the ERP under the current mode
+     * Any rounding counts as a match; the ERP's rounding is only a suggestion.
+     *
+     * @param {Object} comp - Raw component
+     * @returns {boolean} True if the ERP shows a percentage the current mode can't reproduce
+     */
+    hasErpMismatch(comp) {
+        if (!this.hasErpPercentage(comp)) return false;
+        return !Object.keys(this.ERP_ROUNDINGS).some(rounding =>
+            this.matchesErpPercentage(comp, this.attendanceMode, rounding)
+        );
+    },
+
+    /**
+     * Cross-check every component against the ERP's Percentage column and
+     * find the mode and rounding that reproduce the most ERP values
+     *
+     * @param {Array} subjects - Subjects with `components` (raw or processed)
+     * @returns {Object} { checked, mismatches: [{ courseCode, courseName, type, erpPercentage, percentage }],
+     *                    suggestion: { mode, rounding, matches } | null }
+     */
+    crossCheckErpPercentages(subjects) {
+        const checkable = [];
+        const mismatches = [];
+
+        for (const subject of subjects) {
+            for (const [type, comp] of Object.entries(subject.components || {})) {
+                if (!this.hasErpPercentage(comp)) continue;
+                checkable.push(comp);
+
+                if (this.hasErpMismatch(comp)) {
+                    mismatches.push({
+                        courseCode: subject.courseCode,
+                        courseName: subject.courseName,
+                        type: type,
+                        erpPercentage: comp.erpPercentage,
+                        percentage: this.calculateComponentPercentage(comp.attended, comp.conducted, comp.tcbr || 0)
+                    });
+                }
+            }
+        }
+
+        // Current mode first and plain rounding first, so ties keep what the user has
+        const modes = this.attendanceMode === 'TCBR_CORRECTED'
+            ? ['TCBR_CORRECTED', 'ERP']
+            : ['ERP', 'TCBR_CORRECTED'];
+
+        let suggestion = null;
+        for (const mode of modes) {
+            for (const rounding of Object.keys(this.ERP_ROUNDINGS)) {
+                const matches = checkable.filter(comp => this.matchesErpPercentage(comp, mode, rounding)).length;
+                if (matches > 0 && (!suggestion || matches > suggestion.matches)) {
+                    suggestion = { mode: mode, rounding: rounding, matches: matches };
+                }
+            }
+        }
+
+        return {
+            checked: checkable.length,
+            mismatches: mismatches,
+            suggestion: suggestion
+        };
+    },
+
     /**
      * Get current mode display text
+     * @param {string} mode - Attendance mode (defaults to the current one)
      * @returns {string} Current mode description
      */
-    getModeDisplayText() {
-        return this.attendanceMode === "TCBR_CORRECTED"
+    getModeDisplayText(mode = this.attendanceMode) {
+        return mode === "TCBR_CORRECTED"
             ? "TCBR-Corrected"
             : "ERP Standard";
     },
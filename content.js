@@ -1,305 +1,241 @@
 /**
  * ERP Attendance Intelligence - Content Script
  * Scrapes attendance data from KL University ERP tables
- * 
- * EXTRACTION RULES:
- * - Parse ONLY <table><tbody><tr> rows
- * - Map columns by header names (not index)
- * - Extract ONLY raw facts: courseCode, courseName, ltpsType, totalConducted, totalAttended, tcbr
- * - NO percentages, NO aggregation, NO assumptions
+ *
+ * The attendance table is read by scraper.js (shared with the saved-page
+ * import), using the layout profiles from layouts.js.
+ *
+ * Also reads the student timetable grid (fetchTimetable) into weekly
+ * schedule entries per course code and LTPS type.
  */
 
 // Listen for messages from popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'fetchAttendance') {
         try {
-            const attendanceData = scrapeAttendanceData();
+            const attendanceData = scrapeAttendanceData(request.layouts || AttendanceLayouts.BUILT_IN);
             sendResponse({ success: true, data: attendanceData });
         } catch (error) {
             // console.error('[ERP Extension] Scraping error:', error);
             sendResponse({ success: false, error: error.message });
         }
+    } else if (request.action === 'fetchTimetable') {
+        try {
+            const timetableData = scrapeTimetableData(request.courseCodes || []);
+            sendResponse({ success: true, data: timetableData });
+        } catch (error) {
+            sendResponse({ success: false, error: error.message });
+        }
     }
     return true; // Keep message channel open for async response
 });
 
 /**
- * Main scraping function - extracts attendance data from ERP tables
- * @returns {Object} Structured attendance data grouped by subject and LTPS components
+ * Scrape the attendance table of the open ERP page
+ * @param {Array} layouts - Layout profiles to try, in order (see layouts.js)
+ * @returns {Object} Attendance data (see AttendanceScraper.scrape)
+ */
+function scrapeAttendanceData(layouts) {
+    return AttendanceScraper.scrape(document, layouts, window.location.href);
+}
+
+/**
+ * Normalize a header text for strict matching: "Course Code" -> "coursecode"
+ * @param {string} text - Raw header text
+ * @returns {string} Normalized key
  */
-function scrapeAttendanceData() {
-    // Find all tables on the page
+function normalizeHeader(text) {
+    return text.replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * Timetable scraping function - extracts the weekly schedule from the ERP timetable grid
+ *
+ * Expected grid: one row per weekday, one column per period.
+ * Day | 09:00-09:50 | 09:50-10:40 | ...
+ * MON | 22CS2233 L  | 22MT2004 T  | ...
+ *
+ * - The day column is found by normalized header ('day', 'days', 'dayname', 'weekday')
+ * - Period times are read from the column headers ("09:00-09:50", "9.00 to 9.50")
+ * - Cells are matched to course codes (known codes from the last scrape first)
+ *   and an LTPS type; cells spanning several periods (colspan) count as several sessions
+ * - Back-to-back periods of the same course component are merged into one slot
+ *
+ * @param {Array<string>} knownCourseCodes - Course codes from the last attendance scrape
+ * @returns {Object} { courses, unmatchedCells, scrapedAt, pageUrl } - courses use the timetable layout
+ */
+function scrapeTimetableData(knownCourseCodes = []) {
     const tables = document.querySelectorAll('table');
-    let attendanceTable = null;
-    let headerRow = null;
-    let columnMap = {};
+    let timetableTable = null;
+    let periods = [];
+    let dayColumn = -1;
 
-    // Look for table containing attendance data by checking headers
     for (const table of tables) {
         const thead = table.querySelector('thead');
         const firstRow = thead ? thead.querySelector('tr') : table.querySelector('tr');
-
         if (!firstRow) continue;
 
-        const headers = firstRow.querySelectorAll('th, td');
-        const headerTexts = Array.from(headers).map(h => h.innerText.trim().toLowerCase());
-
-        // Normalize header texts for strict matching
-        const normalizedHeaders = Array.from(headers).map(h =>
-            h.innerText.replace(/\s+/g, '').toLowerCase()
-        );
+        const headers = Array.from(firstRow.querySelectorAll('th, td'));
+        const normalizedHeaders = headers.map(h => normalizeHeader(h.innerText));
+        const dayIndex = normalizedHeaders.findIndex(h => ['day', 'days', 'dayname', 'weekday'].includes(h));
 
-        // Check if this table has expected attendance columns using normalized keys
-        const hasCode = normalizedHeaders.some(h => h === 'coursecode');
-        const hasConducted = normalizedHeaders.some(h => h === 'totalconducted');
-        const hasAttended = normalizedHeaders.some(h => h === 'totalattended');
+        if (dayIndex === -1 || headers.length < 3) continue;
 
-        if (hasCode && (hasConducted || hasAttended)) {
-            attendanceTable = table;
-            headerRow = firstRow;
+        timetableTable = table;
+        dayColumn = dayIndex;
 
-            // Build column index map from normalized headers
-            headers.forEach((header, index) => {
-                const normalized = header.innerText.replace(/\s+/g, '').toLowerCase();
-
-                // Map using strict normalized key matching
-                switch (normalized) {
-                    case 'coursecode':
-                        columnMap.courseCode = index;
-                        break;
-                    case 'coursedesc':
-                        columnMap.courseName = index;
-                        break;
-                    case 'ltps':
-                        columnMap.ltpsType = index;
-                        break;
-                    case 'totalconducted':
-                        columnMap.totalConducted = index;
-                        break;
-                    case 'totalattended':
-                        columnMap.totalAttended = index;
-                        break;
-                    case 'totalabsent':
-                        columnMap.totalAbsent = index;
-                        break;
-                    case 'tcbr':
-                        columnMap.tcbr = index;
-                        break;
-                    case 'percentage':
-                        columnMap.percentage = index;
-                        break;
-                }
-            });
-
-            break;
+        // Expand header colspans so period indexes line up with body cells
+        let column = 0;
+        periods = [];
+        for (const header of headers) {
+            const span = parseInt(header.getAttribute('colspan'), 10) || 1;
+            for (let i = 0; i < span; i++) {
+                periods[column + i] = column === dayIndex ? null : parsePeriodTime(header.innerText);
+            }
+            column += span;
         }
+        break;
     }
 
-    if (!attendanceTable) {
-        throw new Error('Could not find attendance table on this page. Please ensure you are on the correct ERP attendance page.');
-    }
-
-    // Log column mapping for debugging
-    // console.log('[ERP Extension] Column mapping:', columnMap);
-
-    // If we couldn't map columns by name, try positional fallback
-    if (Object.keys(columnMap).length < 3) {
-        // console.warn('[ERP Extension] Few columns mapped by name, using positional fallback');
-        columnMap = buildPositionalColumnMap(headerRow);
+    if (!timetableTable) {
+        throw new Error('Could not find a timetable on this page. Please open the ERP student timetable page.');
     }
 
-    // Extract data from tbody rows
-    const tbody = attendanceTable.querySelector('tbody') || attendanceTable;
-    const rows = tbody.querySelectorAll('tr');
-    const subjects = {};
-    let skippedRows = 0;
-
-    for (const row of rows) {
-        const cells = row.querySelectorAll('td');
-        if (cells.length < 3) continue; // Skip rows with too few cells (likely header)
-
-        const rowData = extractRowData(cells, columnMap);
-
-        if (!rowData) {
-            skippedRows++;
-            continue;
-        }
-
-        // Sanity checks - discard invalid rows
-        if (!validateRowData(rowData)) {
-            skippedRows++;
-            continue;
-        }
-
-        // Group by subject code
-        const subjectKey = rowData.courseCode;
-
-        if (!subjects[subjectKey]) {
-            subjects[subjectKey] = {
-                courseCode: rowData.courseCode,
-                courseName: rowData.courseName,
-                components: {}
-            };
+    const tbody = timetableTable.querySelector('tbody') || timetableTable;
+    const courses = {};
+    let unmatchedCells = 0;
+
+    for (const row of tbody.querySelectorAll('tr')) {
+        const cells = Array.from(row.querySelectorAll('td, th'));
+        if (cells.length < 2 || !cells[dayColumn]) continue;
+
+        const day = parseWeekday(cells[dayColumn].innerText);
+        if (day === null) continue; // Header row or not a weekday
+
+        // Collect period cells of this day: { period, span, match }
+        const daySlots = [];
+        let column = 0;
+        for (const cell of cells) {
+            const span = parseInt(cell.getAttribute('colspan'), 10) || 1;
+            if (column !== dayColumn) {
+                const text = cell.innerText.trim();
+                if (text && !/^[-–]+$/.test(text)) {
+                    const match = matchTimetableCell(text, knownCourseCodes);
+                    if (match) {
+                        daySlots.push({ period: column, span: span, match: match });
+                    } else {
+                        unmatchedCells++;
+                    }
+                }
+            }
+            column += span;
         }
 
-        // Add LTPS component (raw facts only)
-        subjects[subjectKey].components[rowData.ltpsType] = {
-            conducted: rowData.totalConducted,
-            attended: rowData.totalAttended,
-            tcbr: rowData.tcbr
-        };
-
-        // Update course name if this one is longer/better
-        if (rowData.courseName.length > subjects[subjectKey].courseName.length) {
-            subjects[subjectKey].courseName = rowData.courseName;
+        // Merge back-to-back periods of the same course component
+        for (let i = 0; i < daySlots.length; i++) {
+            const slot = daySlots[i];
+            let end = slot.period + slot.span;
+            let sessions = slot.span;
+
+            while (i + 1 < daySlots.length &&
+                daySlots[i + 1].period === end &&
+                daySlots[i + 1].match.courseCode === slot.match.courseCode &&
+                daySlots[i + 1].match.ltpsType === slot.match.ltpsType) {
+                i++;
+                end = daySlots[i].period + daySlots[i].span;
+                sessions += daySlots[i].span;
+            }
+
+            const start = periods[slot.period];
+            const finish = periods[end - 1];
+            const { courseCode, ltpsType } = slot.match;
+
+            if (!courses[courseCode]) courses[courseCode] = {};
+            if (!courses[courseCode][ltpsType]) courses[courseCode][ltpsType] = [];
+
+            courses[courseCode][ltpsType].push({
+                day: day,
+                slot: start && finish ? `${start.start}-${finish.end}` : '',
+                sessions: sessions
+            });
         }
     }
 
-    if (Object.keys(subjects).length === 0) {
-        throw new Error('No valid attendance data found. The table may be empty or in an unexpected format.');
+    if (Object.keys(courses).length === 0) {
+        throw new Error('No course sessions found in the timetable. The table may be empty or in an unexpected format.');
     }
 
-    // console.log(`[ERP Extension] Extracted ${Object.keys(subjects).length} subjects, skipped ${skippedRows} invalid rows`);
-
     return {
-        subjects: subjects,
+        courses: courses,
+        unmatchedCells: unmatchedCells,
         scrapedAt: new Date().toISOString(),
         pageUrl: window.location.href
     };
 }
 
 /**
- * Build column map based on common positional patterns when headers don't match
+ * Parse a period header into a time range
+ * @param {string} text - Header text, e.g. "1 (09:00 - 09:50)" or "9.00 to 9.50"
+ * @returns {Object|null} { start: "09:00", end: "09:50" } or null
  */
-function buildPositionalColumnMap(headerRow) {
-    const headers = headerRow ? headerRow.querySelectorAll('th, td') : [];
-    const numCols = headers.length;
-
-    // Common ERP patterns:
-    // Pattern A: S.No | Code | Name | LTPS | Conducted | Attended | Absent | TCBR | %
-    // Pattern B: Code | Name | Type | Total | Present | Absent | Before | Percentage
-
-    const map = {};
+function parsePeriodTime(text) {
+    const match = text.match(/(\d{1,2})[:.](\d{2})\s*(?:-|–|to)\s*(\d{1,2})[:.](\d{2})/i);
+    if (!match) return null;
 
-    if (numCols >= 8) {
-        // Assume pattern with S.No first
-        map.courseCode = 1;
-        map.courseName = 2;
-        map.ltpsType = 3;
-        map.totalConducted = 4;
-        map.totalAttended = 5;
-        map.totalAbsent = 6;
-        map.tcbr = 7;
-    } else if (numCols >= 6) {
-        // Compact pattern
-        map.courseCode = 0;
-        map.courseName = 1;
-        map.ltpsType = 2;
-        map.totalConducted = 3;
-        map.totalAttended = 4;
-        map.tcbr = 5;
-    }
-
-    return map;
+    const pad = (value) => value.padStart(2, '0');
+    return {
+        start: `${pad(match[1])}:${match[2]}`,
+        end: `${pad(match[3])}:${match[4]}`
+    };
 }
 
 /**
- * Extract raw attendance data from a table row
- * @param {NodeList} cells - Table cells
- * @param {Object} columnMap - Column indices
- * @returns {Object|null} Extracted raw data or null if invalid
+ * Parse a weekday cell
+ * @param {string} text - e.g. "MON", "Monday", "Mon."
+ * @returns {number|null} 0 (Sunday) to 6 (Saturday), or null
  */
-function extractRowData(cells, columnMap) {
-    const getCellValue = (index) => {
-        if (index === undefined || index >= cells.length) return '';
-        return cells[index].innerText.trim();
-    };
-
-    const getCellNumber = (index) => {
-        const val = getCellValue(index);
-        const num = parseInt(val.replace(/[^0-9-]/g, ''), 10);
-        return isNaN(num) ? 0 : num;
-    };
-
-    // Extract course code
-    let courseCode = getCellValue(columnMap.courseCode);
-    if (!courseCode) {
-        // Try first cell as fallback
-        courseCode = cells[0] ? cells[0].innerText.trim() : '';
-    }
-
-    // Skip if no valid course code
-    if (!courseCode || courseCode.toLowerCase() === 's.no' || /^\d+$/.test(courseCode)) {
-        return null;
-    }
-
-    // Extract course name
-    let courseName = getCellValue(columnMap.courseName);
-
-    // Extract LTPS type
-    let ltpsType = getCellValue(columnMap.ltpsType).toUpperCase();
-
-    // Validate LTPS type
-    if (!['L', 'T', 'P', 'S'].includes(ltpsType)) {
-        // Try to extract from course name or other cells
-        const allText = Array.from(cells).map(c => c.innerText).join(' ');
-        const ltpsMatch = allText.match(/\b([LTPS])\b/);
-        if (ltpsMatch) {
-            ltpsType = ltpsMatch[1];
-        } else {
-            ltpsType = 'L'; // Default to Lecture if not found
-        }
-    }
-
-    // Extract numeric values
-    const totalConducted = getCellNumber(columnMap.totalConducted);
-    const totalAttended = getCellNumber(columnMap.totalAttended);
-    const tcbr = getCellNumber(columnMap.tcbr);
-
-    // Clean course name - remove trailing LTPS indicator if present
-    courseName = courseName.replace(/\s*[-–]\s*[LTPS]\s*$/i, '').trim();
-
-    return {
-        courseCode: courseCode,
-        courseName: courseName,
-        ltpsType: ltpsType,
-        totalConducted: totalConducted,
-        totalAttended: totalAttended,
-        tcbr: tcbr
-    };
+function parseWeekday(text) {
+    const key = normalizeHeader(text).replace(/[^a-z]/g, '').slice(0, 3);
+    const days = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+    const index = days.indexOf(key);
+    return index === -1 ? null : index;
 }
 
 /**
- * Validate row data with sanity guards
- * @param {Object} rowData - Extracted row data
- * @returns {boolean} True if valid, false if should be discarded
+ * Match a timetable cell to a course code and LTPS type
+ * @param {string} text - Cell text, e.g. "22CS2233 - L - R405"
+ * @param {Array<string>} knownCourseCodes - Course codes from the last attendance scrape
+ * @returns {Object|null} { courseCode, ltpsType } or null
  */
-function validateRowData(rowData) {
-    // Guard: conducted > 300 is unreasonable
-    if (rowData.totalConducted > 300) {
-        // console.warn(`[ERP Extension] Discarding row: conducted (${rowData.totalConducted}) > 300`, rowData);
-        return false;
-    }
+function matchTimetableCell(text, knownCourseCodes) {
+    const upper = text.toUpperCase();
 
-    // Guard: attended > conducted is invalid
-    if (rowData.totalAttended > rowData.totalConducted) {
-        // console.warn(`[ERP Extension] Discarding row: attended (${rowData.totalAttended}) > conducted (${rowData.totalConducted})`, rowData);
-        return false;
-    }
+    // Prefer codes we already know from the attendance table
+    let courseCode = knownCourseCodes.find(code => upper.includes(code.toUpperCase())) || null;
 
-    // Guard: negative values are invalid
-    if (rowData.totalConducted < 0 || rowData.totalAttended < 0) {
-        // console.warn(`[ERP Extension] Discarding row: negative values`, rowData);
-        return false;
+    if (!courseCode) {
+        const codeMatch = upper.match(/\b\d{2}[A-Z]{2,4}\d{3,4}[A-Z]?\b/);
+        courseCode = codeMatch ? codeMatch[0] : null;
     }
+    if (!courseCode) return null;
+
+    // Look for the LTPS type in the rest of the cell
+    const rest = upper.replace(courseCode.toUpperCase(), ' ');
+    const typeWords = {
+        LECTURE: 'L', TUTORIAL: 'T', PRACTICAL: 'P', LAB: 'P', SKILL: 'S'
+    };
 
-    // Guard: TCBR should not exceed conducted
-    if (rowData.tcbr > rowData.totalConducted) {
-        // console.warn(`[ERP Extension] Discarding row: tcbr (${rowData.tcbr}) > conducted (${rowData.totalConducted})`, rowData);
-        return false;
+    let ltpsType = null;
+    const letterMatch = rest.match(/(?:^|[^A-Z0-9])([LTPS])(?![A-Z0-9])/);
+    if (letterMatch) {
+        ltpsType = letterMatch[1];
+    } else {
+        const word = Object.keys(typeWords).find(w => rest.includes(w));
+        ltpsType = word ? typeWords[word] : null;
     }
+    if (!ltpsType) return null;
 
-    return true;
+    return { courseCode: courseCode, ltpsType: ltpsType };
 }
 
 // Log that content script is loaded
@@ -0,0 +1,255 @@
+/**
+ * ERP Attendance Intelligence - Dashboard
+ * Page controller for the analytics dashboard (dashboard.html)
+ */
+
+// DOM Elements
+const elements = {
+    dashboardSubtitle: null,
+    emptyState: null,
+    trendsSection: null,
+    trendsSubtitle: null,
+    trendCharts: null,
+    heatmapSection: null,
+    heatmapHeader: null,
+    heatmapRows: null,
+    tableSection: null,
+    tableHeader: null,
+    tableRows: null,
+    dashboardMeta: null,
+
+    // Templates
+    trendCardTemplate: null
+};
+
+// Page State (same defaults as the popup)
+let state = {
+    theme: 'light',
+    threshold: 75,
+    sortBy: 'danger',
+    attendanceMode: 'ERP',
+    rulesPreset: 'standard',
+    customRules: null,
+    thresholdOverrides: {},
+    aggregationMode: 'EQUAL',
+    courseCredits: {},
+    attendanceData: null,
+    lastFetched: null,
+    excusedMode: 'NONE',
+    excusedLedger: null,
+    snapshots: [],
+    subjects: [],
+    tableSortKey: 'dangerScore',
+    tableSortDirection: 'desc'
+};
+
+/**
+ * Initialize the dashboard
+ */
+async function init() {
+    cacheElements();
+
+    await loadPageData();
+    document.body.classList.add(`${state.theme}-theme`);
+
+    renderDashboard();
+}
+
+/**
+ * Cache all DOM elements
+ */
+function cacheElements() {
+    elements.dashboardSubtitle = document.getElementById('dashboardSubtitle');
+    elements.emptyState = document.getElementById('emptyState');
+    elements.trendsSection = document.getElementById('trendsSection');
+    elements.trendsSubtitle = document.getElementById('trendsSubtitle');
+    elements.trendCharts = document.getElementById('trendCharts');
+    elements.heatmapSection = document.getElementById('heatmapSection');
+    elements.heatmapHeader = document.getElementById('heatmapHeader');
+    elements.heatmapRows = document.getElementById('heatmapRows');
+    elements.tableSection = document.getElementById('tableSection');
+    elements.tableHeader = document.getElementById('tableHeader');
+    elements.tableRows = document.getElementById('tableRows');
+    elements.dashboardMeta = document.getElementById('dashboardMeta');
+
+    elements.trendCardTemplate = document.getElementById('trendCardTemplate');
+}
+
+/**
+ * Load the settings, last scrape, snapshot history and excused absences saved by the popup
+ */
+async function loadPageData() {
+    Object.assign(state, await AttendanceStorage.getSettings());
+
+    const lastData = await AttendanceStorage.getLastData();
+    if (lastData) {
+        state.attendanceData = lastData.data;
+        state.lastFetched = lastData.timestamp;
+    }
+
+    state.snapshots = await AttendanceHistory.loadSnapshots();
+    state.excusedLedger = await AttendanceExcused.load();
+}
+
+/**
+ * Process the saved data with the popup's settings and render every view
+ */
+function renderDashboard() {
+    if (!state.attendanceData) {
+        elements.emptyState.classList.remove('hidden');
+        return;
+    }
+
+    // Excused sessions up to the fetch date only, like the popup and the badge
+    const fetchedOn = AttendanceCalculator.toDateKey(state.lastFetched ? new Date(state.lastFetched) : new Date());
+    state.subjects = AttendanceCalculator.sortSubjects(
+        AttendanceCalculator.processWithSettings(
+            AttendanceExcused.applyToData(state.attendanceData, state.excusedLedger, state.excusedMode, fetchedOn),
+            state
+        ),
+        state.sortBy
+    );
+
+    const stats = AttendanceCalculator.calculateAggregateStats(state.subjects, state.threshold);
+    elements.dashboardSubtitle.textContent =
+        `${stats.totalSubjects} subjects · average ${stats.averageAttendance.toFixed(1)}%`;
+
+    const fetched = state.lastFetched ? new Date(state.lastFetched).toLocaleString() : 'unknown';
+    elements.dashboardMeta.textContent =
+        `Data from ${fetched} · ${AttendanceCalculator.getModeDisplayText()} mode · ${AttendanceCalculator.getRules().name}`;
+
+    renderTrends();
+    renderHeatmap();
+    renderTable();
+}
+
+/**
+ * Render one percentage-over-time chart per subject
+ */
+function renderTrends() {
+    // Without history, the last fetch is the only point
+    const snapshots = state.snapshots.length > 0
+        ? state.snapshots
+        : [{ timestamp: state.lastFetched || new Date().toISOString(), subjects: state.attendanceData.subjects }];
+    const trends = AttendanceDashboard.buildTrends(snapshots, state, state.excusedLedger);
+
+    elements.trendsSubtitle.textContent = `${snapshots.length} snapshot${snapshots.length !== 1 ? 's' : ''}`;
+    elements.trendCharts.innerHTML = '';
+
+    for (const subject of state.subjects) {
+        const points = trends[subject.courseCode];
+        if (!points) continue;
+
+        const card = elements.trendCardTemplate.content.cloneNode(true).querySelector('.trend-card');
+        card.classList.add(`status-${subject.status}`);
+        card.querySelector('.trend-subject-name').textContent = subject.courseName;
+        card.querySelector('.trend-subject-code').textContent = subject.courseCode;
+        card.appendChild(AttendanceDashboard.createLineChart(points));
+
+        elements.trendCharts.appendChild(card);
+    }
+
+    elements.trendsSection.classList.remove('hidden');
+}
+
+/**
+ * Render the courses x components heatmap
+ */
+function renderHeatmap() {
+    const types = AttendanceDashboard.COMPONENT_TYPES.filter(type =>
+        state.subjects.some(subject => subject.componentData[type])
+    );
+
+    for (const type of types) {
+        const th = document.createElement('th');
+        th.textContent = type;
+        th.title = AttendanceCalculator.getLTPSInfo(type).name;
+        elements.heatmapHeader.appendChild(th);
+    }
+
+    elements.heatmapRows.innerHTML = '';
+    for (const subject of state.subjects) {
+        const row = document.createElement('tr');
+
+        const name = document.createElement('td');
+        name.className = 'heatmap-subject';
+        name.textContent = subject.courseName || subject.courseCode;
+        name.title = subject.courseCode;
+        row.appendChild(name);
+
+        for (const type of types) {
+            const comp = subject.componentData[type];
+            const cell = document.createElement('td');
+
+            if (comp) {
+                cell.className = `heatmap-cell status-${comp.status}`;
+                cell.textContent = `${comp.percentage.toFixed(1)}%`;
+                cell.title = `${AttendanceCalculator.getLTPSInfo(type).name}: ` +
+                    `${comp.effectiveAttended}/${comp.conducted}, target ${comp.threshold}%`;
+            } else {
+                cell.className = 'heatmap-cell heatmap-empty';
+                cell.textContent = '–';
+            }
+            row.appendChild(cell);
+        }
+
+        elements.heatmapRows.appendChild(row);
+    }
+
+    elements.heatmapSection.classList.remove('hidden');
+}
+
+/**
+ * Render the sortable table of every processed field
+ */
+function renderTable() {
+    elements.tableHeader.innerHTML = '';
+    for (const column of AttendanceDashboard.COLUMNS) {
+        const th = document.createElement('th');
+        const isSorted = column.key === state.tableSortKey;
+        th.setAttribute('aria-sort', isSorted ? (state.tableSortDirection === 'asc' ? 'ascending' : 'descending') : 'none');
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'dashboard-sort-btn';
+        button.textContent = column.label + (isSorted ? (state.tableSortDirection === 'asc' ? ' ▲' : ' ▼') : '');
+        button.addEventListener('click', () => handleSortColumn(column.key));
+        th.appendChild(button);
+
+        elements.tableHeader.appendChild(th);
+    }
+
+    elements.tableRows.innerHTML = '';
+    const sorted = AttendanceDashboard.sortByColumn(state.subjects, state.tableSortKey, state.tableSortDirection);
+    for (const subject of sorted) {
+        const row = document.createElement('tr');
+        row.className = `report-row status-${subject.status}`;
+
+        for (const column of AttendanceDashboard.COLUMNS) {
+            const cell = document.createElement('td');
+            if (column.key === 'percentage') cell.className = 'report-percentage';
+            cell.textContent = AttendanceDashboard.formatCell(subject, column);
+            row.appendChild(cell);
+        }
+
+        elements.tableRows.appendChild(row);
+    }
+
+    elements.tableSection.classList.remove('hidden');
+}
+
+/**
+ * Sort the table by a column (clicking the sorted column reverses it)
+ */
+function handleSortColumn(key) {
+    if (state.tableSortKey === key) {
+        state.tableSortDirection = state.tableSortDirection === 'asc' ? 'desc' : 'asc';
+    } else {
+        state.tableSortKey = key;
+        state.tableSortDirection = 'asc';
+    }
+    renderTable();
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,218 @@
+/**
+ * ERP Attendance Intelligence - Dashboard Module
+ *
+ * Data and SVG rendering for the analytics dashboard (dashboard.html). Charts
+ * are drawn here as plain SVG; nothing is loaded from a CDN.
+ *
+ * VIEWS:
+ * - Trends: subject percentage over the stored snapshots (history.js), every
+ *   snapshot processed with the current settings and the excused sessions up
+ *   to its date, plus the threshold line
+ * - Heatmap: courses x L/T/P/S components, coloured by component status
+ * - Table: every field of processAllSubjects(), sortable by any column
+ */
+
+const AttendanceDashboard = {
+
+    COMPONENT_TYPES: ['L', 'T', 'P', 'S'],
+
+    /**
+     * Line chart size (SVG units) and the margins kept for axis labels
+     */
+    CHART: {
+        width: 360,
+        height: 150,
+        left: 34,
+        right: 10,
+        top: 10,
+        bottom: 22
+    },
+
+    /**
+     * Table columns
+     * - value: sort key of a subject
+     * - format: cell text (defaults to the value)
+     */
+    COLUMNS: [
+        { key: 'courseName', label: 'Subject', value: s => s.courseName || '' },
+        { key: 'courseCode', label: 'Code', value: s => s.courseCode || '' },
+        { key: 'percentage', label: '%', value: s => s.percentage, format: s => s.percentage.toFixed(1) },
+        { key: 'threshold', label: 'Threshold', value: s => s.threshold, format: s => AttendanceReport.formatTargetSummary(s) },
+        { key: 'tier', label: 'Tier', value: s => s.tier.rank, format: s => AttendanceReport.getTierLabel(s.tier.id) },
+        { key: 'status', label: 'Status', value: s => s.status },
+        { key: 'meetsThresholds', label: 'Meets targets', value: s => (s.meetsThresholds ? 1 : 0), format: s => (s.meetsThresholds ? 'Yes' : 'No') },
+        { key: 'dangerScore', label: 'Danger', value: s => s.dangerScore, format: s => s.dangerScore.toFixed(1) },
+        { key: 'totalConducted', label: 'Conducted', value: s => s.totalConducted },
+        { key: 'totalAttended', label: 'Attended', value: s => s.totalAttended },
+        { key: 'totalEffectiveAttended', label: 'Effective', value: s => s.totalEffectiveAttended },
+        { key: 'totalAbsent', label: 'Absent', value: s => s.totalAbsent },
+        { key: 'weakestComponent', label: 'Weakest', value: s => s.weakestComponent || '' },
+        { key: 'weakestPercentage', label: 'Weakest %', value: s => s.weakestPercentage, format: s => s.weakestPercentage.toFixed(1) },
+        {
+            key: 'totalClassesNeeded',
+            label: 'To attend',
+            value: s => s.totalClassesNeeded,
+            format: s => (s.totalClassesNeeded > 0 ? AttendanceReport.formatComponentPlan(s.attendPlan) : '0')
+        },
+        {
+            key: 'canSkip',
+            label: 'Can skip',
+            value: s => s.canSkip,
+            format: s => (s.canSkip > 0 ? AttendanceReport.formatComponentPlan(s.skipPlan) : '0')
+        },
+        {
+            key: 'componentData',
+            label: 'Components',
+            value: s => Object.keys(s.componentData).length,
+            format: s => Object.keys(s.componentData)
+                .map(type => {
+                    const comp = s.componentData[type];
+                    return `${type} ${comp.effectiveAttended}/${comp.conducted} (${comp.percentage.toFixed(1)}%)`;
+                })
+                .join(' · ')
+        }
+    ],
+
+    /**
+     * Percentage series per course across the stored snapshots
+     * @param {Array} snapshots - Snapshots from AttendanceHistory.loadSnapshots() (oldest first)
+     * @param {Object} settings - Settings from AttendanceStorage.getSettings()
+     * @param {Object} ledger - Excused absences (see excused.js), counted up to each snapshot's date
+     * @returns {Object} { courseCode: [{ timestamp, percentage, threshold }] }
+     */
+    buildTrends(snapshots, settings, ledger) {
+        const trends = {};
+
+        for (const snapshot of snapshots) {
+            const rawData = AttendanceExcused.applyToData(
+                { subjects: snapshot.subjects },
+                ledger,
+                settings.excusedMode,
+                AttendanceCalculator.toDateKey(new Date(snapshot.timestamp))
+            );
+            const subjects = AttendanceCalculator.processWithSettings(rawData, settings);
+
+            for (const subject of subjects) {
+                if (!trends[subject.courseCode]) trends[subject.courseCode] = [];
+                trends[subject.courseCode].push({
+                    timestamp: snapshot.timestamp,
+                    percentage: subject.percentage,
+                    threshold: subject.threshold
+                });
+            }
+        }
+        return trends;
+    },
+
+    /**
+     * Sort subjects by a table column
+     * @param {Array} subjects - Processed subjects
+     * @param {string} key - Column key (see COLUMNS)
+     * @param {string} direction - "asc" or "desc"
+     * @returns {Array} Sorted copy
+     */
+    sortByColumn(subjects, key, direction) {
+        const column = this.COLUMNS.find(c => c.key === key);
+        if (!column) return [...subjects];
+
+        const sign = direction === 'desc' ? -1 : 1;
+        return [...subjects].sort((a, b) => {
+            const valueA = column.value(a);
+            const valueB = column.value(b);
+            const order = typeof valueA === 'string'
+                ? valueA.localeCompare(valueB)
+                : (valueA === valueB ? 0 : (valueA < valueB ? -1 : 1));
+            return sign * order;
+        });
+    },
+
+    /**
+     * Cell text of a subject in a table column
+     * @param {Object} subject - Processed subject
+     * @param {Object} column - Column from COLUMNS
+     * @returns {string} Cell text
+     */
+    formatCell(subject, column) {
+        return String(column.format ? column.format(subject) : column.value(subject));
+    },
+
+    /**
+     * Draw a line chart of one course's percentage with its threshold line
+     * @param {Array} points - [{ timestamp, percentage, threshold }] from buildTrends()
+     * @returns {SVGElement} Chart
+     */
+    createLineChart(points) {
+        const { width, height, left, right, top, bottom } = this.CHART;
+        const threshold = points[points.length - 1].threshold;
+
+        // Y axis: from 10 below the lowest value (in steps of 10) up to 100
+        const lowest = Math.min(threshold, ...points.map(p => p.percentage));
+        const yMin = Math.max(0, Math.floor((lowest - 10) / 10) * 10);
+        const y = (percentage) => top + (100 - percentage) / (100 - yMin) * (height - top - bottom);
+
+        // X axis: time, so gaps between fetches show as gaps
+        const times = points.map(p => new Date(p.timestamp).getTime());
+        const first = times[0];
+        const span = times[times.length - 1] - first;
+        const x = (time) => (span > 0
+            ? left + (time - first) / span * (width - left - right)
+            : left + (width - left - right) / 2);
+
+        const svg = this._svg('svg', {
+            class: 'trend-chart',
+            viewBox: `0 0 ${width} ${height}`,
+            role: 'img'
+        });
+
+        for (const value of [yMin, 100]) {
+            svg.appendChild(this._svg('line', {
+                class: 'trend-grid', x1: left, x2: width - right, y1: y(value), y2: y(value)
+            }));
+            svg.appendChild(this._svg('text', {
+                class: 'trend-axis-label', x: left - 4, y: y(value) + 3, 'text-anchor': 'end'
+            }, `${value}%`));
+        }
+
+        svg.appendChild(this._svg('line', {
+            class: 'trend-threshold', x1: left, x2: width - right, y1: y(threshold), y2: y(threshold)
+        }));
+        svg.appendChild(this._svg('text', {
+            class: 'trend-axis-label trend-threshold-label', x: left - 4, y: y(threshold) + 3, 'text-anchor': 'end'
+        }, `${threshold}%`));
+
+        const coordinates = points.map((p, i) => `${x(times[i]).toFixed(1)},${y(p.percentage).toFixed(1)}`);
+        svg.appendChild(this._svg('polyline', { class: 'trend-line', points: coordinates.join(' ') }));
+
+        points.forEach((p, i) => {
+            const dot = this._svg('circle', { class: 'trend-point', cx: x(times[i]), cy: y(p.percentage), r: 3 });
+            dot.appendChild(this._svg('title', {}, `${new Date(p.timestamp).toLocaleString()}: ${p.percentage.toFixed(1)}%`));
+            svg.appendChild(dot);
+        });
+
+        const dateLabel = (time) => AttendanceReport.formatShortDate(AttendanceCalculator.toDateKey(new Date(time)));
+        svg.appendChild(this._svg('text', {
+            class: 'trend-axis-label', x: left, y: height - 6, 'text-anchor': 'start'
+        }, dateLabel(first)));
+        if (span > 0) {
+            svg.appendChild(this._svg('text', {
+                class: 'trend-axis-label', x: width - right, y: height - 6, 'text-anchor': 'end'
+            }, dateLabel(times[times.length - 1])));
+        }
+
+        return svg;
+    },
+
+    _svg(tag, attributes, text) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        for (const name of Object.keys(attributes)) {
+            element.setAttribute(name, attributes[name]);
+        }
+        if (text !== undefined) element.textContent = text;
+        return element;
+    }
+};
+
+// Export for use in dashboard-page.js
+if (typeof window !== 'undefined') {
+    window.AttendanceDashboard = AttendanceDashboard;
+}
@@ -0,0 +1,247 @@
+/**
+ * ERP Attendance Intelligence - Excused Absences Editor
+ * Page controller for editing the excused absences ledger (excused.html)
+ */
+
+// DOM Elements
+const elements = {
+    entriesContainer: null,
+    ledgerSummary: null,
+    errorList: null,
+    warningList: null,
+    addEntryBtn: null,
+    saveBtn: null,
+    footerStatus: null,
+
+    // Templates
+    entryTemplate: null
+};
+
+// Page State
+let state = {
+    theme: 'light',
+    ledger: null,      // Working copy, saved on "Save Ledger"
+    subjects: null,    // Raw subjects from the last scrape
+    isDirty: false
+};
+
+/**
+ * Initialize the editor
+ */
+async function init() {
+    cacheElements();
+
+    await loadPageData();
+    document.body.classList.add(`${state.theme}-theme`);
+
+    setupEventListeners();
+    renderEntries();
+    updateFooterStatus();
+}
+
+/**
+ * Cache all DOM elements
+ */
+function cacheElements() {
+    elements.entriesContainer = document.getElementById('entriesContainer');
+    elements.ledgerSummary = document.getElementById('ledgerSummary');
+    elements.errorList = document.getElementById('errorList');
+    elements.warningList = document.getElementById('warningList');
+    elements.addEntryBtn = document.getElementById('addEntryBtn');
+    elements.saveBtn = document.getElementById('saveBtn');
+    elements.footerStatus = document.getElementById('footerStatus');
+
+    elements.entryTemplate = document.getElementById('entryTemplate');
+}
+
+/**
+ * Load theme, last scrape and the stored ledger
+ */
+async function loadPageData() {
+    state.ledger = await AttendanceExcused.load();
+
+    state.theme = (await AttendanceStorage.getSettings()).theme;
+
+    const lastData = await AttendanceStorage.getLastData();
+    if (lastData) {
+        state.subjects = lastData.data.subjects;
+    }
+}
+
+/**
+ * Set up all event listeners
+ */
+function setupEventListeners() {
+    elements.saveBtn.addEventListener('click', handleSave);
+    elements.addEntryBtn.addEventListener('click', handleAddEntry);
+
+    window.addEventListener('beforeunload', (e) => {
+        if (state.isDirty) e.preventDefault();
+    });
+}
+
+/**
+ * Course codes to offer: every scraped course plus any already in the ledger
+ */
+function getCourseCodes() {
+    const codes = new Set(Object.keys(state.subjects || {}));
+    state.ledger.entries.forEach(entry => {
+        if (entry.courseCode) codes.add(entry.courseCode);
+    });
+    return [...codes].sort();
+}
+
+/**
+ * Render all entry rows
+ */
+function renderEntries() {
+    elements.entriesContainer.innerHTML = '';
+
+    if (state.ledger.entries.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'page-empty';
+        empty.textContent = 'No excused absences yet. Add one below.';
+        elements.entriesContainer.appendChild(empty);
+    }
+
+    const codes = getCourseCodes();
+    for (const entry of state.ledger.entries) {
+        elements.entriesContainer.appendChild(createEntryRow(entry, codes));
+    }
+
+    updateLedgerSummary();
+}
+
+/**
+ * Create the row of one ledger entry (edits go straight into the entry)
+ */
+function createEntryRow(entry, codes) {
+    const row = elements.entryTemplate.content.cloneNode(true).querySelector('.excused-entry');
+    const courseSelect = row.querySelector('.entry-course');
+
+    for (const code of codes) {
+        const option = document.createElement('option');
+        const scraped = state.subjects && state.subjects[code];
+        option.value = code;
+        option.textContent = scraped ? `${code} - ${scraped.courseName}` : code;
+        courseSelect.appendChild(option);
+    }
+
+    const fields = [
+        ['.entry-course', 'courseCode'],
+        ['.entry-component', 'component'],
+        ['.entry-date', 'date'],
+        ['.entry-sessions', 'sessions'],
+        ['.entry-kind', 'kind'],
+        ['.entry-status', 'status'],
+        ['.entry-note', 'note']
+    ];
+    for (const [selector, key] of fields) {
+        const input = row.querySelector(selector);
+        input.value = entry[key];
+        input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => {
+            entry[key] = input.value;
+            updateLedgerSummary();
+            markDirty();
+        });
+    }
+
+    row.querySelector('.remove-entry-btn').addEventListener('click', () => {
+        state.ledger.entries.splice(state.ledger.entries.indexOf(entry), 1);
+        renderEntries();
+        markDirty();
+    });
+
+    return row;
+}
+
+/**
+ * Handle "Add entry" button: a pending medical leave today, for the first course
+ */
+function handleAddEntry() {
+    const codes = getCourseCodes();
+    const courseCode = codes[0] || '';
+    const scraped = state.subjects && state.subjects[courseCode];
+
+    state.ledger.entries.push({
+        courseCode: courseCode,
+        component: scraped ? Object.keys(scraped.components)[0] : 'L',
+        date: AttendanceCalculator.toDateKey(new Date()),
+        kind: 'medical',
+        status: 'pending',
+        sessions: 1,
+        note: ''
+    });
+
+    renderEntries();
+    markDirty();
+}
+
+/**
+ * Validate and save the ledger
+ */
+async function handleSave() {
+    const normalized = AttendanceExcused.normalize(state.ledger);
+    const result = AttendanceExcused.validate(normalized, state.subjects);
+
+    showMessages(elements.errorList, result.errors);
+    showMessages(elements.warningList, result.warnings);
+
+    if (!result.valid) {
+        elements.footerStatus.textContent = 'Fix the errors above before saving';
+        return;
+    }
+
+    state.ledger = await AttendanceExcused.save(normalized);
+    state.isDirty = false;
+    renderEntries();
+    elements.footerStatus.textContent = 'Ledger saved';
+}
+
+/**
+ * Show a list of messages (hidden when empty)
+ */
+function showMessages(list, messages) {
+    list.innerHTML = '';
+    for (const message of messages) {
+        const item = document.createElement('li');
+        item.textContent = message;
+        list.appendChild(item);
+    }
+    list.classList.toggle('hidden', messages.length === 0);
+}
+
+/**
+ * Sessions per status, e.g. "3 approved · 2 pending"
+ */
+function updateLedgerSummary() {
+    const totals = {};
+    for (const entry of state.ledger.entries) {
+        totals[entry.status] = (totals[entry.status] || 0) + (parseInt(entry.sessions, 10) || 0);
+    }
+
+    elements.ledgerSummary.textContent = Object.keys(AttendanceExcused.STATUSES)
+        .filter(status => totals[status])
+        .map(status => `${totals[status]} ${AttendanceExcused.STATUSES[status].toLowerCase()}`)
+        .join(' · ');
+}
+
+/**
+ * Mark the working copy as changed
+ */
+function markDirty() {
+    state.isDirty = true;
+    elements.footerStatus.textContent = 'Unsaved changes';
+}
+
+/**
+ * Update footer with the last saved time
+ */
+function updateFooterStatus() {
+    elements.footerStatus.textContent = state.ledger.updatedAt
+        ? `Last saved ${new Date(state.ledger.updatedAt).toLocaleString()}`
+        : 'Not saved yet';
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', init);
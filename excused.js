@@ -0,0 +1,246 @@
+/**
+ * ERP Attendance Intelligence - Excused Absences Module
+ *
+ * Local ledger of excused sessions: medical leave and on duty (OD) for college
+ * events. The ERP shows them as absences until the approval is processed;
+ * counting them shows where a student will stand once it is.
+ *
+ * STORAGE LAYOUT (chrome.storage.local, key "excusedAbsences"):
+ * {
+ *   version: 1,
+ *   updatedAt: ISO string,
+ *   entries: [
+ *     { id, courseCode: "22CS2233", component: "P", date: "2026-10-14",
+ *       kind: "medical" | "onDuty", status: "pending" | "approved" | "rejected",
+ *       sessions: 2, note: "Hackathon, letter submitted" }
+ *   ]
+ * }
+ *
+ * COUNTING (setting "excusedMode"):
+ * - NONE: official ERP figures only
+ * - APPROVED: approved sessions count as attended
+ * - PENDING_AND_APPROVED: pending sessions count too
+ * applyToData() sets each component's `excused` to the sessions counted (never
+ * more than it was absent); `attended` stays the ERP's figure. The calculator adds
+ * `excused` in getEffectiveAttended(), so every calculation - percentages, plans,
+ * projections - uses the adjusted figure.
+ */
+
+const AttendanceExcused = {
+
+    STORAGE_KEY: 'excusedAbsences',
+
+    /**
+     * Version of the ledger layout
+     */
+    VERSION: 1,
+
+    LTPS_TYPES: ['L', 'T', 'P', 'S'],
+
+    KINDS: {
+        medical: 'Medical leave',
+        onDuty: 'On duty'
+    },
+
+    STATUSES: {
+        pending: 'Pending',
+        approved: 'Approved',
+        rejected: 'Rejected'
+    },
+
+    /**
+     * Statuses counted by each excusedMode
+     */
+    MODES: {
+        NONE: [],
+        APPROVED: ['approved'],
+        PENDING_AND_APPROVED: ['pending', 'approved']
+    },
+
+    /**
+     * Create an empty ledger
+     * @returns {Object} Ledger
+     */
+    createEmpty() {
+        return { version: this.VERSION, updatedAt: null, entries: [] };
+    },
+
+    /**
+     * Load the stored ledger
+     * @returns {Promise<Object>} Ledger (empty if none stored)
+     */
+    async load() {
+        const stored = (await AttendanceStorage.get([this.STORAGE_KEY]))[this.STORAGE_KEY];
+        if (!stored || stored.version !== this.VERSION || !Array.isArray(stored.entries)) {
+            return this.createEmpty();
+        }
+        return stored;
+    },
+
+    /**
+     * Save a ledger (entries are normalized and sorted by date)
+     * @param {Object} ledger - Ledger to store
+     * @returns {Promise<Object>} The stored ledger
+     */
+    async save(ledger) {
+        const toStore = this.normalize(ledger);
+        toStore.updatedAt = new Date().toISOString();
+
+        await AttendanceStorage.set({ [this.STORAGE_KEY]: toStore });
+        return toStore;
+    },
+
+    /**
+     * Normalize a ledger: trim text, coerce numbers, give new entries an id
+     * @param {Object} ledger - Ledger
+     * @returns {Object} Normalized copy
+     */
+    normalize(ledger) {
+        const result = this.createEmpty();
+        result.updatedAt = ledger.updatedAt || null;
+
+        result.entries = (ledger.entries || [])
+            .map(entry => ({
+                id: entry.id || this._createId(),
+                courseCode: String(entry.courseCode || '').trim().toUpperCase(),
+                component: String(entry.component || '').trim().toUpperCase(),
+                date: String(entry.date || ''),
+                kind: entry.kind,
+                status: entry.status,
+                sessions: parseInt(entry.sessions, 10),
+                note: String(entry.note || '').trim()
+            }))
+            .sort((a, b) => a.date.localeCompare(b.date) || a.courseCode.localeCompare(b.courseCode));
+
+        return result;
+    },
+
+    /**
+     * Validate a ledger, optionally against the last scrape
+     * @param {Object} ledger - Ledger
+     * @param {Object|null} subjects - Raw `subjects` object from the last scrape
+     * @returns {Object} { valid, errors, warnings } - messages are user-facing strings
+     */
+    validate(ledger, subjects = null) {
+        const errors = [];
+        const warnings = [];
+
+        ledger.entries.forEach((entry, index) => {
+            const where = `Entry ${index + 1}${entry.courseCode ? ` (${entry.courseCode})` : ''}`;
+
+            if (!entry.courseCode) {
+                errors.push(`${where}: pick a course`);
+            } else if (subjects && !subjects[entry.courseCode]) {
+                warnings.push(`${where}: not in your last attendance fetch`);
+            }
+            if (!this.LTPS_TYPES.includes(entry.component)) {
+                errors.push(`${where}: component must be L, T, P or S`);
+            } else if (subjects && subjects[entry.courseCode] && !subjects[entry.courseCode].components[entry.component]) {
+                warnings.push(`${where}: the course has no ${entry.component} component in your last attendance fetch`);
+            }
+            if (!AttendanceCalculator.fromDateKey(entry.date)) {
+                errors.push(`${where}: pick a date`);
+            }
+            if (!this.KINDS[entry.kind]) {
+                errors.push(`${where}: type must be medical leave or on duty`);
+            }
+            if (!this.STATUSES[entry.status]) {
+                errors.push(`${where}: status must be pending, approved or rejected`);
+            }
+            if (!Number.isInteger(entry.sessions) || entry.sessions < 1 || entry.sessions > 8) {
+                errors.push(`${where}: sessions must be between 1 and 8`);
+            }
+        });
+
+        return { valid: errors.length === 0, errors: errors, warnings: warnings };
+    },
+
+    /**
+     * Excused sessions counted in a mode
+     * @param {Object} ledger - Ledger
+     * @param {string} mode - excusedMode ("NONE", "APPROVED" or "PENDING_AND_APPROVED")
+     * @param {string|null} until - Only count sessions on or before this "YYYY-MM-DD" (null = all)
+     * @returns {Object} { courseCode: { L: 2, ... } }
+     */
+    countExcused(ledger, mode, until = null) {
+        const statuses = this.MODES[mode] || [];
+        const counts = {};
+
+        for (const entry of ledger.entries) {
+            if (!statuses.includes(entry.status) || (until && entry.date > until)) continue;
+
+            if (!counts[entry.courseCode]) counts[entry.courseCode] = {};
+            counts[entry.courseCode][entry.component] = (counts[entry.courseCode][entry.component] || 0) + entry.sessions;
+        }
+        return counts;
+    },
+
+    /**
+     * Scraped data with the counted excused sessions set on each component
+     * @param {Object} rawData - Scraped data ({ subjects, ... })
+     * @param {Object} ledger - Ledger
+     * @param {string} mode - excusedMode
+     * @param {string|null} until - Only count sessions on or before this "YYYY-MM-DD" (null = all)
+     * @returns {Object} Adjusted copy (rawData itself when nothing is counted).
+     *          Adjusted components gain `excused`.
+     */
+    applyToData(rawData, ledger, mode, until = null) {
+        const counts = this.countExcused(ledger, mode, until);
+        if (!rawData || !rawData.subjects || Object.keys(counts).length === 0) return rawData;
+
+        const subjects = {};
+        for (const code of Object.keys(rawData.subjects)) {
+            const subject = rawData.subjects[code];
+            const excused = counts[subject.courseCode || code];
+            if (!excused) {
+                subjects[code] = subject;
+                continue;
+            }
+
+            const components = {};
+            for (const type of Object.keys(subject.components)) {
+                const comp = subject.components[type];
+                const counted = Math.min(excused[type] || 0, Math.max(0, comp.conducted - comp.attended));
+
+                components[type] = counted > 0
+                    ? { ...comp, excused: counted }
+                    : comp;
+            }
+            subjects[code] = { ...subject, components: components };
+        }
+
+        return { ...rawData, subjects: subjects };
+    },
+
+    /**
+     * Excused sessions counted in a subject's components
+     * @param {Object} components - Components from applyToData()
+     * @returns {number} Sessions
+     */
+    getExcusedCount(components) {
+        return Object.values(components).reduce((sum, comp) => sum + (comp.excused || 0), 0);
+    },
+
+    /**
+     * The ERP's own figures of components from applyToData()
+     * @param {Object} components - Components
+     * @returns {Object} Components without the excused sessions
+     */
+    getOfficialComponents(components) {
+        const official = {};
+        for (const type of Object.keys(components)) {
+            const comp = components[type];
+            official[type] = comp.excused ? { ...comp, excused: 0 } : comp;
+        }
+        return official;
+    },
+
+    _createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    }
+};
+
+// Export for use in popup.js, dashboard-page.js and excused-editor.js
+if (typeof window !== 'undefined') {
+    window.AttendanceExcused = AttendanceExcused;
+}
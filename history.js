@@ -0,0 +1,212 @@
+/**
+ * ERP Attendance Intelligence - History Module
+ *
+ * Keeps a timestamped history of raw attendance snapshots so that trends,
+ * diffs and forecasts can be computed across fetches.
+ *
+ * STORAGE LAYOUT (chrome.storage.local, key "attendanceHistory"):
+ * {
+ *   version: 1,
+ *   snapshots: [                      // Oldest first
+ *     { id, timestamp, lastConfirmedAt, fingerprint, subjects }
+ *   ]
+ * }
+ *
+ * RULES:
+ * - Snapshots store the raw `subjects` object exactly as scraped
+ * - A fetch identical to the latest snapshot is NOT stored again; the latest
+ *   snapshot's `lastConfirmedAt` is bumped instead
+ * - Only the newest MAX_SNAPSHOTS are kept
+ */
+
+const AttendanceHistory = {
+
+    STORAGE_KEY: 'attendanceHistory',
+
+    /**
+     * Version of the history store layout
+     */
+    VERSION: 1,
+
+    /**
+     * Retention limit (oldest snapshots are dropped first)
+     */
+    MAX_SNAPSHOTS: 120,
+
+    /**
+     * Save a snapshot of the raw subjects object
+     * @param {Object} subjects - Raw `subjects` object from scrapeAttendanceData()
+     * @param {string} timestamp - ISO timestamp of the fetch
+     * @returns {Promise<Object>} { saved, snapshot } - saved is false for duplicates
+     */
+    async saveSnapshot(subjects, timestamp = new Date().toISOString()) {
+        if (!subjects || Object.keys(subjects).length === 0) {
+            return { saved: false, snapshot: null };
+        }
+
+        const store = await this._read();
+        const fingerprint = this.fingerprint(subjects);
+        const latest = store.snapshots[store.snapshots.length - 1];
+
+        // De-duplicate: nothing changed since the latest snapshot
+        if (latest && latest.fingerprint === fingerprint) {
+            latest.lastConfirmedAt = timestamp;
+            await this._write(store);
+            return { saved: false, snapshot: this._toSummary(latest) };
+        }
+
+        const snapshot = {
+            id: this._createId(timestamp),
+            timestamp: timestamp,
+            lastConfirmedAt: timestamp,
+            fingerprint: fingerprint,
+            subjects: JSON.parse(JSON.stringify(subjects))
+        };
+
+        store.snapshots.push(snapshot);
+
+        // Enforce retention limit
+        if (store.snapshots.length > this.MAX_SNAPSHOTS) {
+            store.snapshots = store.snapshots.slice(-this.MAX_SNAPSHOTS);
+        }
+
+        await this._write(store);
+        return { saved: true, snapshot: this._toSummary(snapshot) };
+    },
+
+    /**
+     * List stored snapshots without their subject data
+     * @returns {Promise<Array>} Snapshot summaries, newest first
+     */
+    async listSnapshots() {
+        const store = await this._read();
+        return store.snapshots.map(s => this._toSummary(s)).reverse();
+    },
+
+    /**
+     * Load every stored snapshot
+     * @returns {Promise<Array>} Snapshots including subjects, oldest first
+     */
+    async loadSnapshots() {
+        const store = await this._read();
+        return store.snapshots;
+    },
+
+    /**
+     * Load a full snapshot by id
+     * @param {string} id - Snapshot id
+     * @returns {Promise<Object|null>} Snapshot including subjects, or null
+     */
+    async loadSnapshot(id) {
+        const store = await this._read();
+        return store.snapshots.find(s => s.id === id) || null;
+    },
+
+    /**
+     * Load the most recent snapshot
+     * @returns {Promise<Object|null>} Latest snapshot including subjects, or null
+     */
+    async loadLatestSnapshot() {
+        const store = await this._read();
+        return store.snapshots[store.snapshots.length - 1] || null;
+    },
+
+    /**
+     * Load the snapshot stored just before the most recent one
+     * @returns {Promise<Object|null>} Previous snapshot including subjects, or null
+     */
+    async loadPreviousSnapshot() {
+        const store = await this._read();
+        return store.snapshots[store.snapshots.length - 2] || null;
+    },
+
+    /**
+     * Delete a snapshot by id
+     * @param {string} id - Snapshot id
+     * @returns {Promise<boolean>} True if a snapshot was removed
+     */
+    async deleteSnapshot(id) {
+        const store = await this._read();
+        const remaining = store.snapshots.filter(s => s.id !== id);
+
+        if (remaining.length === store.snapshots.length) return false;
+
+        store.snapshots = remaining;
+        await this._write(store);
+        return true;
+    },
+
+    /**
+     * Remove all stored snapshots
+     */
+    async clearHistory() {
+        await this._write(this._createEmptyStore());
+    },
+
+    /**
+     * Build a stable fingerprint of a subjects object for de-duplication.
+     * Key order from the scraper is not guaranteed, so keys are sorted.
+     * @param {Object} subjects - Raw subjects object
+     * @returns {string} Fingerprint string
+     */
+    fingerprint(subjects) {
+        const parts = [];
+
+        for (const code of Object.keys(subjects).sort()) {
+            const components = subjects[code].components || {};
+            for (const type of Object.keys(components).sort()) {
+                const comp = components[type];
+                parts.push(`${code}:${type}:${comp.conducted}/${comp.attended}/${comp.tcbr || 0}`);
+            }
+        }
+
+        return parts.join('|');
+    },
+
+    /**
+     * Strip subject data from a snapshot for listing
+     */
+    _toSummary(snapshot) {
+        return {
+            id: snapshot.id,
+            timestamp: snapshot.timestamp,
+            lastConfirmedAt: snapshot.lastConfirmedAt,
+            subjectCount: Object.keys(snapshot.subjects).length
+        };
+    },
+
+    _createId(timestamp) {
+        const time = new Date(timestamp).getTime() || Date.now();
+        return `${time.toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    },
+
+    _createEmptyStore() {
+        return { version: this.VERSION, snapshots: [] };
+    },
+
+    /**
+     * Read the history store, discarding anything in an unknown layout
+     * @returns {Promise<Object>} History store
+     */
+    async _read() {
+        const stored = (await AttendanceStorage.get([this.STORAGE_KEY]))[this.STORAGE_KEY];
+        if (!stored || stored.version !== this.VERSION || !Array.isArray(stored.snapshots)) {
+            return this._createEmptyStore();
+        }
+        return stored;
+    },
+
+    /**
+     * Persist the history store
+     * @param {Object} store - History store
+     * @returns {Promise<void>}
+     */
+    _write(store) {
+        return AttendanceStorage.set({ [this.STORAGE_KEY]: store });
+    }
+};
+
+// Export for use in popup.js
+if (typeof window !== 'undefined') {
+    window.AttendanceHistory = AttendanceHistory;
+}
@@ -0,0 +1,184 @@
+/**
+ * ERP Attendance Intelligence - Saved Page Import
+ * Page controller for loading a saved ERP attendance page (import.html)
+ */
+
+// DOM Elements
+const elements = {
+    fileInput: null,
+    errorList: null,
+    warningList: null,
+    previewSection: null,
+    previewSummary: null,
+    previewList: null,
+    loadBtn: null,
+    footerStatus: null,
+
+    // Templates
+    subjectTemplate: null
+};
+
+// Page State
+let state = {
+    theme: 'light',
+    layoutProfile: 'auto',
+    customLayout: null,
+    attendanceData: null // Parsed from the chosen file, saved on "Load as Current Data"
+};
+
+/**
+ * Initialize the page
+ */
+async function init() {
+    cacheElements();
+
+    await loadPageData();
+    document.body.classList.add(`${state.theme}-theme`);
+
+    setupEventListeners();
+}
+
+/**
+ * Cache all DOM elements
+ */
+function cacheElements() {
+    elements.fileInput = document.getElementById('fileInput');
+    elements.errorList = document.getElementById('errorList');
+    elements.warningList = document.getElementById('warningList');
+    elements.previewSection = document.getElementById('previewSection');
+    elements.previewSummary = document.getElementById('previewSummary');
+    elements.previewList = document.getElementById('previewList');
+    elements.loadBtn = document.getElementById('loadBtn');
+    elements.footerStatus = document.getElementById('footerStatus');
+
+    elements.subjectTemplate = document.getElementById('subjectTemplate');
+}
+
+/**
+ * Load theme and the ERP layout setting
+ */
+async function loadPageData() {
+    const settings = await AttendanceStorage.getSettings();
+    state.theme = settings.theme;
+    state.layoutProfile = settings.layoutProfile;
+    state.customLayout = settings.customLayout;
+}
+
+/**
+ * Set up all event listeners
+ */
+function setupEventListeners() {
+    elements.fileInput.addEventListener('change', handleFileChosen);
+    elements.loadBtn.addEventListener('click', handleLoad);
+}
+
+/**
+ * Read and parse the chosen file
+ */
+async function handleFileChosen() {
+    const file = elements.fileInput.files[0];
+    state.attendanceData = null;
+    elements.loadBtn.disabled = true;
+    elements.previewSection.classList.add('hidden');
+    showMessages(elements.warningList, []);
+
+    if (!file) {
+        showMessages(elements.errorList, []);
+        elements.footerStatus.textContent = 'No file chosen';
+        return;
+    }
+
+    try {
+        const text = await file.text();
+        const layouts = AttendanceLayouts.resolve(state.layoutProfile, state.customLayout);
+        state.attendanceData = AttendanceScraper.scrapeSavedPage(text, file.name, layouts);
+    } catch (error) {
+        showMessages(elements.errorList, [error.message || 'Could not read this file.']);
+        elements.footerStatus.textContent = `Nothing loaded from ${file.name}`;
+        return;
+    }
+
+    showMessages(elements.errorList, []);
+    showMessages(elements.warningList, getDiagnosticWarnings(state.attendanceData.diagnostics));
+    renderPreview(state.attendanceData.subjects);
+
+    elements.loadBtn.disabled = false;
+    elements.footerStatus.textContent = `Read ${file.name}`;
+}
+
+/**
+ * Warnings for rows the scraper skipped or guessed
+ */
+function getDiagnosticWarnings(diagnostics) {
+    const warnings = [];
+
+    if (diagnostics.positionalFallback) {
+        warnings.push(`Columns were guessed by position (layout: ${diagnostics.layout})`);
+    }
+    for (const { row, reason } of diagnostics.skippedRows) {
+        warnings.push(`Row ${row} skipped: ${reason}`);
+    }
+    for (const { row, courseCode, reason } of diagnostics.guessedRows) {
+        warnings.push(`Row ${row} (${courseCode}): ${reason}`);
+    }
+
+    return warnings;
+}
+
+/**
+ * List the parsed subjects and their components
+ */
+function renderPreview(subjects) {
+    elements.previewList.innerHTML = '';
+
+    const list = Object.values(subjects);
+    const componentCount = list.reduce((sum, subject) => sum + Object.keys(subject.components).length, 0);
+    elements.previewSummary.textContent =
+        `${list.length} subject${list.length !== 1 ? 's' : ''} · ` +
+        `${componentCount} component${componentCount !== 1 ? 's' : ''}`;
+
+    for (const subject of list) {
+        const row = elements.subjectTemplate.content.cloneNode(true).querySelector('.import-subject');
+        row.querySelector('.import-subject-name').textContent = subject.courseName || subject.courseCode;
+        row.querySelector('.import-subject-code').textContent = subject.courseCode;
+        row.querySelector('.import-subject-components').textContent = Object.entries(subject.components)
+            .map(([type, comp]) => `${type} ${comp.attended}/${comp.conducted}`)
+            .join(' · ');
+        elements.previewList.appendChild(row);
+    }
+
+    elements.previewSection.classList.remove('hidden');
+}
+
+/**
+ * Save the parsed page as the popup's current data
+ */
+async function handleLoad() {
+    if (!state.attendanceData) return;
+
+    const lastData = {
+        data: { ...state.attendanceData, importedFrom: state.attendanceData.pageUrl },
+        timestamp: new Date().toISOString()
+    };
+
+    await AttendanceStorage.saveLastData(lastData.data, lastData.timestamp);
+
+    elements.loadBtn.disabled = true;
+    elements.footerStatus.textContent = 'Loaded — open the extension popup to analyse it';
+}
+
+/**
+ * Show a list of messages (hidden when empty)
+ */
+function showMessages(list, messages) {
+    list.innerHTML = '';
+    for (const message of messages) {
+        const item = document.createElement('li');
+        item.textContent = message;
+        list.appendChild(item);
+    }
+    list.classList.toggle('hidden', messages.length === 0);
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,268 @@
+/**
+ * ERP Attendance Intelligence - Layout Profiles Module
+ *
+ * Declarative descriptions of ERP attendance tables, so a renamed header or
+ * another college's ERP needs a profile instead of a scraper change.
+ * Loaded by both the content script (to read the table) and the popup
+ * (to pick and edit profiles).
+ *
+ * PROFILE LAYOUT:
+ * {
+ *   id: "kl-erp",
+ *   name: "KL University ERP",
+ *   fields: {                              // Header aliases per field
+ *     courseCode: ["Course Code", "Code"],
+ *     totalConducted: ["Total Conducted", "Conducted"],
+ *     ...
+ *   },
+ *   required: ["courseCode", ["totalConducted", "totalAttended"]],
+ *   rowFilter: { minCells: 3, skipCodes: ["^s\\.?no$", "^\\d+$"] },
+ *   ltpsTypes: { L: "L", LAB: "P", ... },  // Cell text -> L/T/P/S
+ *   defaultLtpsType: "L",
+ *   positional: [                          // Fallback when few headers match
+ *     { minColumns: 8, columns: { courseCode: 1, ... } }
+ *   ]
+ * }
+ *
+ * - Aliases and LTPS keys are compared without spaces and case
+ * - required: every entry must be found; a nested list means "any of these"
+ * - rowFilter.skipCodes: regular expressions; a row whose course code matches is skipped
+ * - ltpsTypes: a cell not listed here is guessed from the rest of the row,
+ *   then falls back to defaultLtpsType
+ */
+
+const AttendanceLayouts = {
+
+    /**
+     * Fields a profile can map
+     */
+    FIELDS: [
+        'courseCode',
+        'courseName',
+        'ltpsType',
+        'totalConducted',
+        'totalAttended',
+        'totalAbsent',
+        'tcbr',
+        'percentage'
+    ],
+
+    LTPS_TYPES: ['L', 'T', 'P', 'S'],
+
+    /**
+     * Built-in profiles, tried in order when auto-detecting
+     */
+    BUILT_IN: [
+        {
+            id: 'kl-erp',
+            name: 'KL University ERP',
+            fields: {
+                courseCode: ['Course Code'],
+                courseName: ['Course Desc', 'Course Description', 'Course Name'],
+                ltpsType: ['LTPS', 'LTPS Type'],
+                totalConducted: ['Total Conducted'],
+                totalAttended: ['Total Attended'],
+                totalAbsent: ['Total Absent'],
+                tcbr: ['TCBR'],
+                percentage: ['Percentage']
+            },
+            required: ['courseCode', ['totalConducted', 'totalAttended']],
+            rowFilter: { minCells: 3, skipCodes: ['^s\\.no$', '^\\d+$'] },
+            ltpsTypes: {
+                L: 'L', T: 'T', P: 'P', S: 'S',
+                Lecture: 'L', Tutorial: 'T', Practical: 'P', Lab: 'P', Skill: 'S'
+            },
+            defaultLtpsType: 'L',
+            positional: [
+                // S.No | Code | Name | LTPS | Conducted | Attended | Absent | TCBR | %
+                {
+                    minColumns: 8,
+                    columns: {
+                        courseCode: 1,
+                        courseName: 2,
+                        ltpsType: 3,
+                        totalConducted: 4,
+                        totalAttended: 5,
+                        totalAbsent: 6,
+                        tcbr: 7,
+                        percentage: 8
+                    }
+                },
+                // Code | Name | Type | Total | Present | Before
+                {
+                    minColumns: 6,
+                    columns: {
+                        courseCode: 0,
+                        courseName: 1,
+                        ltpsType: 2,
+                        totalConducted: 3,
+                        totalAttended: 4,
+                        tcbr: 5
+                    }
+                }
+            ]
+        }
+    ],
+
+    /**
+     * Profiles to try, in order
+     * @param {string} profileId - "auto", a built-in id, or "custom"
+     * @param {Object} customProfile - User-defined profile
+     * @returns {Array} Profiles (auto tries the custom profile first, then the built-ins)
+     */
+    resolve(profileId, customProfile) {
+        const custom = customProfile && this.validate(customProfile).valid ? [customProfile] : [];
+
+        if (profileId === 'custom' && custom.length > 0) return custom;
+
+        const builtIn = this.BUILT_IN.find(profile => profile.id === profileId);
+        if (builtIn) return [builtIn];
+
+        return [...custom, ...this.BUILT_IN];
+    },
+
+    /**
+     * Validate a profile
+     * @param {Object} profile - Profile to check
+     * @returns {Object} { valid, errors }
+     */
+    validate(profile) {
+        const errors = [];
+
+        if (!profile || typeof profile !== 'object') {
+            return { valid: false, errors: ['Layout must be a JSON object'] };
+        }
+        if (typeof profile.id !== 'string' || !profile.id) errors.push('"id" is required');
+        if (!profile.fields || typeof profile.fields !== 'object') {
+            return { valid: false, errors: [...errors, '"fields" must map fields to header aliases'] };
+        }
+
+        for (const [field, aliases] of Object.entries(profile.fields)) {
+            if (!this.FIELDS.includes(field)) {
+                errors.push(`Unknown field "${field}" (use ${this.FIELDS.join(', ')})`);
+            } else if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string')) {
+                errors.push(`${field}: aliases must be a list of header names`);
+            }
+        }
+
+        for (const entry of profile.required || []) {
+            for (const field of [].concat(entry)) {
+                if (!profile.fields[field]) errors.push(`Required field "${field}" has no aliases`);
+            }
+        }
+
+        const skipCodes = (profile.rowFilter && profile.rowFilter.skipCodes) || [];
+        for (const pattern of skipCodes) {
+            try {
+                new RegExp(pattern, 'i');
+            } catch (e) {
+                errors.push(`rowFilter.skipCodes: invalid pattern "${pattern}"`);
+            }
+        }
+
+        for (const [text, type] of Object.entries(profile.ltpsTypes || {})) {
+            if (!this.LTPS_TYPES.includes(type)) errors.push(`ltpsTypes: "${text}" must map to L, T, P or S`);
+        }
+        if (profile.defaultLtpsType !== undefined && !this.LTPS_TYPES.includes(profile.defaultLtpsType)) {
+            errors.push('"defaultLtpsType" must be L, T, P or S');
+        }
+
+        for (const [index, pattern] of (profile.positional || []).entries()) {
+            if (typeof pattern.minColumns !== 'number' || !pattern.columns) {
+                errors.push(`Positional pattern ${index + 1}: "minColumns" and "columns" are required`);
+            }
+        }
+
+        return { valid: errors.length === 0, errors: errors };
+    },
+
+    /**
+     * Normalize a header or cell text for matching: "Course Code" -> "coursecode"
+     * @param {string} text - Raw text
+     * @returns {string} Normalized key
+     */
+    normalize(text) {
+        return String(text).replace(/\s+/g, '').toLowerCase();
+    },
+
+    /**
+     * Map header texts to column indices
+     * @param {Object} profile - Layout profile
+     * @param {Array} headerTexts - Header cell texts, in column order
+     * @returns {Object} Column map, e.g. { courseCode: 1, totalConducted: 4 }
+     */
+    matchHeaders(profile, headerTexts) {
+        const normalized = headerTexts.map(text => this.normalize(text));
+        const columnMap = {};
+
+        for (const [field, aliases] of Object.entries(profile.fields)) {
+            const keys = aliases.map(alias => this.normalize(alias));
+            const index = normalized.findIndex(header => keys.includes(header));
+            if (index !== -1) columnMap[field] = index;
+        }
+
+        return columnMap;
+    },
+
+    /**
+     * Check that a column map has the profile's required fields
+     * @param {Object} profile - Layout profile
+     * @param {Object} columnMap - Result of matchHeaders()
+     * @returns {boolean} True if every required entry is mapped
+     */
+    hasRequiredFields(profile, columnMap) {
+        return (profile.required || []).every(entry =>
+            [].concat(entry).some(field => columnMap[field] !== undefined)
+        );
+    },
+
+    /**
+     * Positional column map for a table with this many columns
+     * @param {Object} profile - Layout profile
+     * @param {number} numCols - Number of header cells
+     * @returns {Object} Column map (empty if no pattern fits)
+     */
+    getPositionalMap(profile, numCols) {
+        const pattern = (profile.positional || []).find(p => numCols >= p.minColumns);
+        return pattern ? { ...pattern.columns } : {};
+    },
+
+    /**
+     * Whether a row should be skipped by the profile's row filter
+     * @param {Object} profile - Layout profile
+     * @param {string} courseCode - Course code cell text
+     * @returns {boolean} True if the course code matches a skip pattern
+     */
+    isFilteredCode(profile, courseCode) {
+        const skipCodes = (profile.rowFilter && profile.rowFilter.skipCodes) || [];
+        return skipCodes.some(pattern => new RegExp(pattern, 'i').test(courseCode.trim()));
+    },
+
+    /**
+     * Minimum number of cells for a data row
+     * @param {Object} profile - Layout profile
+     * @returns {number} Minimum cells
+     */
+    getMinCells(profile) {
+        return (profile.rowFilter && profile.rowFilter.minCells) || 3;
+    },
+
+    /**
+     * Map an LTPS cell to L/T/P/S
+     * @param {Object} profile - Layout profile
+     * @param {string} text - Cell text, e.g. "Lab"
+     * @returns {string|null} L, T, P or S, or null if the profile doesn't list it
+     */
+    mapLtpsType(profile, text) {
+        const key = text.replace(/\s+/g, '').toUpperCase();
+        for (const [alias, type] of Object.entries(profile.ltpsTypes || {})) {
+            if (alias.replace(/\s+/g, '').toUpperCase() === key) return type;
+        }
+        return null;
+    }
+};
+
+// Export for use in content.js and popup.js
+if (typeof window !== 'undefined') {
+    window.AttendanceLayouts = AttendanceLayouts;
+}
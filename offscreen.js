@@ -0,0 +1,35 @@
+/**
+ * ERP Attendance Intelligence - Offscreen Document
+ * Loads the ERP attendance page in the background for auto-sync (see sync.js)
+ */
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.target !== 'offscreen' || request.action !== 'scrapeAttendancePage') return false;
+
+    scrapeAttendancePage(request.url, request.layouts)
+        .then(data => sendResponse({ success: true, data: data }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Keep message channel open for async response
+});
+
+/**
+ * Fetch the attendance page with the ERP session cookies and scrape it
+ * @param {string} url - Attendance page URL
+ * @param {Array} layouts - Layout profiles to try, in order (see layouts.js)
+ * @returns {Promise<Object>} Attendance data (see AttendanceScraper.scrape)
+ */
+async function scrapeAttendancePage(url, layouts) {
+    const response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) {
+        throw new Error(`The ERP returned ${response.status} for the attendance page`);
+    }
+
+    const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+
+    // No table any layout recognizes: usually the login page, the ERP session has expired.
+    // Any other scraper error (e.g. an empty or unexpected table) is passed on as-is.
+    if (!AttendanceScraper.findAttendanceTable(doc, layouts)) {
+        throw new Error('No attendance table on the page - sign in to the ERP again');
+    }
+    return AttendanceScraper.scrape(doc, layouts, url);
+}
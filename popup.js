@@ -15,14 +15,54 @@ const elements = {
     settingsPanel: null,
     thresholdInput: null,
     sortSelect: null,
+    aggregationModeSelect: null,
+    semesterEndInput: null,
+    forecastWeeksSelect: null,
+    forecastDateInput: null,
+    rulesPresetSelect: null,
+    customRules: null,
+    customRulesInput: null,
+    customRulesErrors: null,
+    layoutProfileSelect: null,
+    customLayout: null,
+    customLayoutInput: null,
+    customLayoutErrors: null,
     saveSettingsBtn: null,
     attendanceModeSelect: null,
+    editTimetableBtn: null,
+    excusedModeSelect: null,
+    editExcusedBtn: null,
+    importPageBtn: null,
+    importPageLink: null,
+    importTimetableBtn: null,
+    timetableImport: null,
+    timetableImportText: null,
+    confirmTimetableImportBtn: null,
+    cancelTimetableImportBtn: null,
+    autoSyncSelect: null,
+    autoSyncOffscreenInput: null,
+    autoSyncStatus: null,
+    alertsEnabledInput: null,
+    quietHoursStartInput: null,
+    quietHoursEndInput: null,
+    watchListItems: null,
+    backupBtn: null,
+    restoreBtn: null,
+    restoreFileInput: null,
+    backupRestore: null,
+    backupRestoreText: null,
+    backupRestoreErrors: null,
+    mergeRestoreBtn: null,
+    replaceRestoreBtn: null,
+    cancelRestoreBtn: null,
 
     // Stats Bar
     statsBar: null,
     totalSubjects: null,
     avgAttendance: null,
     safeCount: null,
+    safeLabel: null,
+    atRiskStat: null,
     criticalCount: null,
 
     // States
@@ -35,17 +75,49 @@ const elements = {
     fetchBtn: null,
     retryBtn: null,
     refreshBtn: null,
+    dashboardBtn: null,
+    exportBtn: null,
+    exportMenu: null,
 
     // Results
     subjectsGrid: null,
     alertBanner: null,
     alertMessage: null,
+    changeReport: null,
+    changeReportHeader: null,
+    changeReportSummary: null,
+    changeReportBody: null,
+    scrapeDetails: null,
+    scrapeDetailsHeader: null,
+    scrapeDetailsSummary: null,
+    scrapeDetailsBody: null,
+    erpCheck: null,
+    erpCheckMessage: null,
+    erpCheckSwitchBtn: null,
+    bunkPlanner: null,
+    bunkPlannerHeader: null,
+    bunkPlannerSummary: null,
+    bunkPlannerBody: null,
+    bunkPlanUntilInput: null,
+    bunkPlanPerComponentInput: null,
+    bunkPlanBtn: null,
+    bunkPlanResults: null,
+    leavePlanner: null,
+    leavePlannerHeader: null,
+    leavePlannerSummary: null,
+    leavePlannerBody: null,
+    leaveFromInput: null,
+    leaveToInput: null,
+    leavePlanBtn: null,
+    leavePlanResults: null,
     errorMessage: null,
     lastUpdated: null,
 
     // Templates
     subjectCardTemplate: null,
-    componentTemplate: null
+    componentTemplate: null,
+    whatifRowTemplate: null,
+    targetRowTemplate: null
 };
 
 // App State
@@ -54,8 +126,33 @@ let state = {
     threshold: 75,
     sortBy: 'danger',
     attendanceMode: 'ERP', // "ERP" or "TCBR_CORRECTED"
+    excusedMode: 'NONE', // Excused sessions counted as attended: "NONE", "APPROVED" or "PENDING_AND_APPROVED"
+    semesterEnd: '', // "YYYY-MM-DD", last day of classes
+    forecastWeeks: 4, // Weeks of history the forecast pace is taken from
+    forecastDate: '', // "YYYY-MM-DD" to forecast, '' = semester end
+    rulesPreset: 'standard', // Eligibility rules preset id, or "custom"
+    customRules: null, // User-defined rule set (see rules.js)
+    layoutProfile: 'auto', // ERP layout profile id, "auto" or "custom"
+    customLayout: null, // User-defined layout profile (see layouts.js)
+    thresholdOverrides: {}, // { courseCode: { threshold, components: { P: 85 } } }
+    aggregationMode: 'EQUAL', // "EQUAL", "POOLED" or "CREDIT_WEIGHTED"
+    courseCredits: {}, // { courseCode: { L: 3, T: 1, P: 2 } }, for CREDIT_WEIGHTED
+    autoSyncInterval: 0, // Minutes between background syncs, 0 = off
+    autoSyncOffscreen: false, // Load the attendance page offscreen when no ERP tab is open
+    alertsEnabled: true, // Desktop notifications from auto-sync
+    quietHoursStart: '', // "HH:MM", alerts wait until quietHoursEnd
+    quietHoursEnd: '',
+    mutedCourses: [], // Course codes that never alert
+    timetable: null,
+    excusedLedger: null, // Excused sessions (see excused.js)
     attendanceData: null,
     processedSubjects: [],
+    changeBaseline: null, // Subjects from the previous fetch, for the change report
+    historySnapshots: [], // Stored snapshots, for forecasts
+    pendingTimetable: null, // Timetable scraped from the ERP, awaiting import
+    pendingTimetableDropped: 0, // Scraped slots left out of it (no readable time)
+    pendingBackup: null, // Backup read from a file, awaiting merge or replace
+    suggestedMode: null, // Attendance mode that reproduces the ERP's percentages
     lastFetched: null
 };
 
@@ -71,21 +168,31 @@ async function init() {
 
     // Load saved settings
     await loadSettings();
+    state.timetable = await AttendanceTimetable.load();
+    state.excusedLedger = await AttendanceExcused.load();
+    state.historySnapshots = await AttendanceHistory.loadSnapshots().catch(() => []);
 
     // Apply saved theme
     applyTheme(state.theme);
 
-    // Set calculator mode
+    // Set calculator modes and eligibility rules
     AttendanceCalculator.setMode(state.attendanceMode);
+    AttendanceCalculator.setAggregationMode(state.aggregationMode);
+    AttendanceCalculator.setRules(AttendanceRules.resolve(state.rulesPreset, state.customRules));
 
     // Set up event listeners
     setupEventListeners();
 
     // Update UI with saved settings
     updateSettingsUI();
+    renderSyncStatus();
 
     // If we have cached data, render it
     if (state.attendanceData) {
+        // An imported page is someone else's (or an old) snapshot; don't diff it against history
+        state.changeBaseline = state.attendanceData.importedFrom
+            ? null
+            : await loadChangeBaseline(state.attendanceData.subjects, false);
         renderResults();
     }
 }
@@ -132,13 +239,53 @@ function cacheElements() {
     elements.settingsPanel = document.getElementById('settingsPanel');
     elements.thresholdInput = document.getElementById('thresholdInput');
     elements.sortSelect = document.getElementById('sortSelect');
+    elements.aggregationModeSelect = document.getElementById('aggregationModeSelect');
+    elements.semesterEndInput = document.getElementById('semesterEndInput');
+    elements.forecastWeeksSelect = document.getElementById('forecastWeeksSelect');
+    elements.forecastDateInput = document.getElementById('forecastDateInput');
+    elements.rulesPresetSelect = document.getElementById('rulesPresetSelect');
+    elements.customRules = document.getElementById('customRules');
+    elements.customRulesInput = document.getElementById('customRulesInput');
+    elements.customRulesErrors = document.getElementById('customRulesErrors');
+    elements.layoutProfileSelect = document.getElementById('layoutProfileSelect');
+    elements.customLayout = document.getElementById('customLayout');
+    elements.customLayoutInput = document.getElementById('customLayoutInput');
+    elements.customLayoutErrors = document.getElementById('customLayoutErrors');
     elements.saveSettingsBtn = document.getElementById('saveSettingsBtn');
     elements.attendanceModeSelect = document.getElementById('attendanceModeSelect');
+    elements.editTimetableBtn = document.getElementById('editTimetableBtn');
+    elements.excusedModeSelect = document.getElementById('excusedModeSelect');
+    elements.editExcusedBtn = document.getElementById('editExcusedBtn');
+    elements.importPageBtn = document.getElementById('importPageBtn');
+    elements.importPageLink = document.getElementById('importPageLink');
+    elements.importTimetableBtn = document.getElementById('importTimetableBtn');
+    elements.timetableImport = document.getElementById('timetableImport');
+    elements.timetableImportText = document.getElementById('timetableImportText');
+    elements.confirmTimetableImportBtn = document.getElementById('confirmTimetableImportBtn');
+    elements.cancelTimetableImportBtn = document.getElementById('cancelTimetableImportBtn');
+    elements.autoSyncSelect = document.getElementById('autoSyncSelect');
+    elements.autoSyncOffscreenInput = document.getElementById('autoSyncOffscreenInput');
+    elements.autoSyncStatus = document.getElementById('autoSyncStatus');
+    elements.alertsEnabledInput = document.getElementById('alertsEnabledInput');
+    elements.quietHoursStartInput = document.getElementById('quietHoursStartInput');
+    elements.quietHoursEndInput = document.getElementById('quietHoursEndInput');
+    elements.watchListItems = document.getElementById('watchListItems');
+    elements.backupBtn = document.getElementById('backupBtn');
+    elements.restoreBtn = document.getElementById('restoreBtn');
+    elements.restoreFileInput = document.getElementById('restoreFileInput');
+    elements.backupRestore = document.getElementById('backupRestore');
+    elements.backupRestoreText = document.getElementById('backupRestoreText');
+    elements.backupRestoreErrors = document.getElementById('backupRestoreErrors');
+    elements.mergeRestoreBtn = document.getElementById('mergeRestoreBtn');
+    elements.replaceRestoreBtn = document.getElementById('replaceRestoreBtn');
+    elements.cancelRestoreBtn = document.getElementById('cancelRestoreBtn');
 
     elements.statsBar = document.getElementById('statsBar');
     elements.totalSubjects = document.getElementById('totalSubjects');
     elements.avgAttendance = document.getElementById('avgAttendance');
     elements.safeCount = document.getElementById('safeCount');
+    elements.safeLabel = document.getElementById('safeLabel');
+    elements.atRiskStat = document.getElementById('atRiskStat');
     elements.criticalCount = document.getElementById('criticalCount');
 
     elements.initialState = document.getElementById('initialState');
@@ -149,83 +296,101 @@ function cacheElements() {
     elements.fetchBtn = document.getElementById('fetchBtn');
     elements.retryBtn = document.getElementById('retryBtn');
     elements.refreshBtn = document.getElementById('refreshBtn');
+    elements.dashboardBtn = document.getElementById('dashboardBtn');
+    elements.exportBtn = document.getElementById('exportBtn');
+    elements.exportMenu = document.getElementById('exportMenu');
 
     elements.subjectsGrid = document.getElementById('subjectsGrid');
     elements.alertBanner = document.getElementById('alertBanner');
     elements.alertMessage = document.getElementById('alertMessage');
+    elements.changeReport = document.getElementById('changeReport');
+    elements.changeReportHeader = document.getElementById('changeReportHeader');
+    elements.changeReportSummary = document.getElementById('changeReportSummary');
+    elements.changeReportBody = document.getElementById('changeReportBody');
+    elements.scrapeDetails = document.getElementById('scrapeDetails');
+    elements.scrapeDetailsHeader = document.getElementById('scrapeDetailsHeader');
+    elements.scrapeDetailsSummary = document.getElementById('scrapeDetailsSummary');
+    elements.scrapeDetailsBody = document.getElementById('scrapeDetailsBody');
+    elements.erpCheck = document.getElementById('erpCheck');
+    elements.erpCheckMessage = document.getElementById('erpCheckMessage');
+    elements.erpCheckSwitchBtn = document.getElementById('erpCheckSwitchBtn');
+    elements.bunkPlanner = document.getElementById('bunkPlanner');
+    elements.bunkPlannerHeader = document.getElementById('bunkPlannerHeader');
+    elements.bunkPlannerSummary = document.getElementById('bunkPlannerSummary');
+    elements.bunkPlannerBody = document.getElementById('bunkPlannerBody');
+    elements.bunkPlanUntilInput = document.getElementById('bunkPlanUntilInput');
+    elements.bunkPlanPerComponentInput = document.getElementById('bunkPlanPerComponentInput');
+    elements.bunkPlanBtn = document.getElementById('bunkPlanBtn');
+    elements.bunkPlanResults = document.getElementById('bunkPlanResults');
+    elements.leavePlanner = document.getElementById('leavePlanner');
+    elements.leavePlannerHeader = document.getElementById('leavePlannerHeader');
+    elements.leavePlannerSummary = document.getElementById('leavePlannerSummary');
+    elements.leavePlannerBody = document.getElementById('leavePlannerBody');
+    elements.leaveFromInput = document.getElementById('leaveFromInput');
+    elements.leaveToInput = document.getElementById('leaveToInput');
+    elements.leavePlanBtn = document.getElementById('leavePlanBtn');
+    elements.leavePlanResults = document.getElementById('leavePlanResults');
     elements.errorMessage = document.getElementById('errorMessage');
     elements.lastUpdated = document.getElementById('lastUpdated');
 
     elements.subjectCardTemplate = document.getElementById('subjectCardTemplate');
     elements.componentTemplate = document.getElementById('componentTemplate');
+    elements.whatifRowTemplate = document.getElementById('whatifRowTemplate');
+    elements.targetRowTemplate = document.getElementById('targetRowTemplate');
 }
 
 /**
- * Load settings from chrome.storage
+ * Load settings and the last fetch from storage
  */
 async function loadSettings() {
-    return new Promise((resolve) => {
-        if (typeof chrome !== 'undefined' && chrome.storage) {
-            chrome.storage.local.get(['theme', 'threshold', 'sortBy', 'attendanceMode', 'lastData'], (result) => {
-                if (result.theme) state.theme = result.theme;
-                if (result.threshold) state.threshold = result.threshold;
-                if (result.sortBy) state.sortBy = result.sortBy;
-                if (result.attendanceMode) state.attendanceMode = result.attendanceMode;
-                if (result.lastData) {
-                    state.attendanceData = result.lastData.data;
-                    state.lastFetched = result.lastData.timestamp;
-                }
-                resolve();
-            });
-        } else {
-            // Fallback for testing outside extension context
-            const saved = localStorage.getItem('erpAttendanceSettings');
-            if (saved) {
-                try {
-                    const parsed = JSON.parse(saved);
-                    state = { ...state, ...parsed };
-                } catch (e) {
-                    // Fail silently, use defaults
-                }
-            }
-            resolve();
-        }
-    });
+    Object.assign(state, await AttendanceStorage.getSettings());
+
+    const lastData = await AttendanceStorage.getLastData();
+    if (lastData) {
+        state.attendanceData = lastData.data;
+        state.lastFetched = lastData.timestamp;
+    }
 }
 
 /**
- * Save settings to chrome.storage
+ * Save settings to storage
  */
 async function saveSettings() {
-    const settingsToSave = {
-        theme: state.theme,
-        threshold: state.threshold,
-        sortBy: state.sortBy,
-        attendanceMode: state.attendanceMode
-    };
+    await AttendanceStorage.saveSettings(getSettings());
+}
 
-    if (typeof chrome !== 'undefined' && chrome.storage) {
-        chrome.storage.local.set(settingsToSave);
-    } else {
-        localStorage.setItem('erpAttendanceSettings', JSON.stringify(settingsToSave));
+/**
+ * Current persisted settings (what saveSettings() writes)
+ */
+function getSettings() {
+    const settings = {};
+    for (const key of Object.keys(AttendanceStorage.SETTINGS)) {
+        settings[key] = state[key];
     }
+    return settings;
 }
 
 /**
- * Save attendance data for persistence
+ * Load the subjects of the fetch to compare against in the change report
+ * @param {Object} subjects - Subjects currently shown
+ * @param {boolean} isNewFetch - True when `subjects` has not been saved to history yet
+ * @returns {Promise<Object|null>} Baseline subjects, or null if there is no history
  */
-async function saveAttendanceData() {
-    if (!state.attendanceData) return;
+async function loadChangeBaseline(subjects, isNewFetch) {
+    try {
+        const latest = await AttendanceHistory.loadLatestSnapshot();
+        if (!latest) return null;
 
-    const dataToSave = {
-        lastData: {
-            data: state.attendanceData,
-            timestamp: state.lastFetched
+        // A new fetch is compared with the latest snapshot, even if identical
+        if (isNewFetch || latest.fingerprint !== AttendanceHistory.fingerprint(subjects)) {
+            return latest.subjects;
         }
-    };
 
-    if (typeof chrome !== 'undefined' && chrome.storage) {
-        chrome.storage.local.set(dataToSave);
+        // Cached data is the latest snapshot itself, so compare with the one before
+        const previous = await AttendanceHistory.loadPreviousSnapshot();
+        return previous ? previous.subjects : null;
+    } catch (e) {
+        return null;
     }
 }
 
@@ -239,16 +404,82 @@ function setupEventListeners() {
     // Settings panel
     elements.settingsBtn.addEventListener('click', toggleSettings);
     elements.saveSettingsBtn.addEventListener('click', handleSaveSettings);
+    elements.rulesPresetSelect.addEventListener('change', updateCustomRulesUI);
+    elements.layoutProfileSelect.addEventListener('change', updateCustomLayoutUI);
+    elements.editTimetableBtn.addEventListener('click', () => openExtensionPage('timetable.html'));
+    elements.editExcusedBtn.addEventListener('click', () => openExtensionPage('excused.html'));
+    elements.importPageBtn.addEventListener('click', () => openExtensionPage('import.html'));
+    elements.importPageLink.addEventListener('click', () => openExtensionPage('import.html'));
+    elements.importTimetableBtn.addEventListener('click', fetchTimetableForImport);
+    elements.confirmTimetableImportBtn.addEventListener('click', importPendingTimetable);
+    elements.cancelTimetableImportBtn.addEventListener('click', () => {
+        state.pendingTimetable = null;
+        elements.timetableImport.classList.add('hidden');
+    });
+    elements.backupBtn.addEventListener('click', handleBackup);
+    elements.restoreBtn.addEventListener('click', () => elements.restoreFileInput.click());
+    elements.restoreFileInput.addEventListener('change', handleRestoreFileChosen);
+    elements.mergeRestoreBtn.addEventListener('click', () => restorePendingBackup('merge'));
+    elements.replaceRestoreBtn.addEventListener('click', () => restorePendingBackup('replace'));
+    elements.cancelRestoreBtn.addEventListener('click', () => {
+        state.pendingBackup = null;
+        elements.backupRestore.classList.add('hidden');
+    });
 
     // Fetch buttons
     elements.fetchBtn.addEventListener('click', fetchAttendanceData);
     elements.retryBtn.addEventListener('click', fetchAttendanceData);
     elements.refreshBtn.addEventListener('click', fetchAttendanceData);
+    elements.dashboardBtn.addEventListener('click', () => openExtensionPage('dashboard.html'));
+
+    // Export menu
+    elements.exportBtn.addEventListener('click', () => elements.exportMenu.classList.toggle('hidden'));
+    elements.exportMenu.querySelectorAll('.export-option').forEach(option => {
+        option.addEventListener('click', () => handleExport(option.dataset.format));
+    });
+
+    // Change report
+    elements.changeReportHeader.addEventListener('click', () => {
+        elements.changeReportBody.classList.toggle('collapsed');
+        elements.changeReportHeader.classList.toggle('expanded');
+    });
+
+    // Scrape details
+    elements.scrapeDetailsHeader.addEventListener('click', () => {
+        elements.scrapeDetailsBody.classList.toggle('collapsed');
+        elements.scrapeDetailsHeader.classList.toggle('expanded');
+    });
+
+    // ERP cross-check
+    elements.erpCheckSwitchBtn.addEventListener('click', applySuggestedMode);
+
+    // Bunk planner
+    elements.bunkPlannerHeader.addEventListener('click', () => {
+        elements.bunkPlannerBody.classList.toggle('collapsed');
+        elements.bunkPlannerHeader.classList.toggle('expanded');
+    });
+    elements.bunkPlanBtn.addEventListener('click', handlePlanBunks);
+
+    // Leave planner
+    elements.leavePlannerHeader.addEventListener('click', () => {
+        elements.leavePlannerBody.classList.toggle('collapsed');
+        elements.leavePlannerHeader.classList.toggle('expanded');
+    });
+    elements.leavePlanBtn.addEventListener('click', handlePlanLeave);
 
     // Keyboard accessibility
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') {
             elements.settingsPanel.classList.add('hidden');
+            elements.exportMenu.classList.add('hidden');
+        }
+
+        // Collapsible headers (what-if, targets, planners, ...) are <div role="button">:
+        // open them with Enter and Space like a real button
+        if ((e.key === 'Enter' || e.key === ' ') && e.target.getAttribute &&
+            e.target.getAttribute('role') === 'button') {
+            e.preventDefault();
+            e.target.click();
         }
     });
 }
@@ -259,6 +490,23 @@ function setupEventListeners() {
 function updateSettingsUI() {
     elements.thresholdInput.value = state.threshold;
     elements.sortSelect.value = state.sortBy;
+    elements.aggregationModeSelect.value = state.aggregationMode;
+    elements.semesterEndInput.value = state.semesterEnd;
+    elements.forecastWeeksSelect.value = state.forecastWeeks;
+    elements.forecastDateInput.value = state.forecastDate;
+    elements.excusedModeSelect.value = state.excusedMode;
+    elements.rulesPresetSelect.value = state.rulesPreset;
+    elements.customRulesInput.value = state.customRules ? JSON.stringify(state.customRules, null, 2) : '';
+    updateCustomRulesUI();
+    elements.layoutProfileSelect.value = state.layoutProfile;
+    elements.customLayoutInput.value = state.customLayout ? JSON.stringify(state.customLayout, null, 2) : '';
+    updateCustomLayoutUI();
+    elements.autoSyncSelect.value = String(state.autoSyncInterval);
+    elements.autoSyncOffscreenInput.checked = state.autoSyncOffscreen;
+    elements.alertsEnabledInput.checked = state.alertsEnabled;
+    elements.quietHoursStartInput.value = state.quietHoursStart;
+    elements.quietHoursEndInput.value = state.quietHoursEnd;
+    renderWatchList();
 
     // Re-cache attendance mode select after injection
     elements.attendanceModeSelect = document.getElementById('attendanceModeSelect');
@@ -267,6 +515,85 @@ function updateSettingsUI() {
     }
 }
 
+/**
+ * Show the custom rules editor when "Custom (JSON)" is selected.
+ * An empty editor starts from the standard rules as a template.
+ */
+function updateCustomRulesUI() {
+    const isCustom = elements.rulesPresetSelect.value === 'custom';
+    elements.customRules.classList.toggle('hidden', !isCustom);
+    showCustomRulesErrors([]);
+
+    if (isCustom && !elements.customRulesInput.value.trim()) {
+        const template = { ...AttendanceRules.PRESETS.standard, id: 'custom', name: 'Custom' };
+        elements.customRulesInput.value = JSON.stringify(template, null, 2);
+    }
+}
+
+/**
+ * Parse and validate the custom rules editor
+ * @returns {Object|null} Rule set, or null (errors shown) if invalid
+ */
+function readCustomRules() {
+    let ruleSet;
+    try {
+        ruleSet = JSON.parse(elements.customRulesInput.value);
+    } catch (e) {
+        showCustomRulesErrors([`Invalid JSON: ${e.message}`]);
+        return null;
+    }
+
+    const result = AttendanceRules.validate(ruleSet);
+    showCustomRulesErrors(result.errors);
+    return result.valid ? ruleSet : null;
+}
+
+/**
+ * Show custom rules (or layout) validation errors (hidden when empty)
+ */
+function showCustomRulesErrors(errors, list = elements.customRulesErrors) {
+    list.innerHTML = '';
+    for (const error of errors) {
+        const item = document.createElement('li');
+        item.textContent = error;
+        list.appendChild(item);
+    }
+    list.classList.toggle('hidden', errors.length === 0);
+}
+
+/**
+ * Show the custom layout editor when "Custom (JSON)" is selected.
+ * An empty editor starts from the KL University ERP profile as a template.
+ */
+function updateCustomLayoutUI() {
+    const isCustom = elements.layoutProfileSelect.value === 'custom';
+    elements.customLayout.classList.toggle('hidden', !isCustom);
+    showCustomRulesErrors([], elements.customLayoutErrors);
+
+    if (isCustom && !elements.customLayoutInput.value.trim()) {
+        const template = { ...AttendanceLayouts.BUILT_IN[0], id: 'custom', name: 'Custom' };
+        elements.customLayoutInput.value = JSON.stringify(template, null, 2);
+    }
+}
+
+/**
+ * Parse and validate the custom layout editor
+ * @returns {Object|null} Layout profile, or null (errors shown) if invalid
+ */
+function readCustomLayout() {
+    let profile;
+    try {
+        profile = JSON.parse(elements.customLayoutInput.value);
+    } catch (e) {
+        showCustomRulesErrors([`Invalid JSON: ${e.message}`], elements.customLayoutErrors);
+        return null;
+    }
+
+    const result = AttendanceLayouts.validate(profile);
+    showCustomRulesErrors(result.errors, elements.customLayoutErrors);
+    return result.valid ? profile : null;
+}
+
 /**
  * Toggle between light and dark theme
  */
@@ -284,11 +611,66 @@ function applyTheme(theme) {
     document.body.classList.add(`${theme}-theme`);
 }
 
+/**
+ * Open one of the extension's full pages in a new tab
+ * @param {string} page - Page file name, e.g. 'timetable.html'
+ */
+function openExtensionPage(page) {
+    if (typeof chrome !== 'undefined' && chrome.tabs) {
+        chrome.tabs.create({ url: chrome.runtime.getURL(page) });
+    } else {
+        window.open(page, '_blank');
+    }
+}
+
 /**
  * Toggle settings panel visibility
  */
 function toggleSettings() {
     elements.settingsPanel.classList.toggle('hidden');
+    renderWatchList();
+}
+
+/**
+ * List the subjects of the last fetch (and any muted course) with a "watched" checkbox
+ */
+function renderWatchList() {
+    elements.watchListItems.innerHTML = '';
+
+    const courses = {};
+    for (const code of state.mutedCourses) {
+        courses[code] = code;
+    }
+    if (state.attendanceData) {
+        for (const subject of Object.values(state.attendanceData.subjects)) {
+            courses[subject.courseCode] = subject.courseName || subject.courseCode;
+        }
+    }
+
+    if (Object.keys(courses).length === 0) {
+        const empty = document.createElement('span');
+        empty.className = 'setting-hint';
+        empty.textContent = 'Fetch your attendance to choose subjects';
+        elements.watchListItems.appendChild(empty);
+        return;
+    }
+
+    for (const code of Object.keys(courses)) {
+        const item = document.createElement('label');
+        item.className = 'planner-option';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = code;
+        checkbox.checked = !state.mutedCourses.includes(code);
+        item.appendChild(checkbox);
+
+        const name = document.createElement('span');
+        name.textContent = courses[code] === code ? code : `${courses[code]} (${code})`;
+        item.appendChild(name);
+
+        elements.watchListItems.appendChild(item);
+    }
 }
 
 /**
@@ -297,6 +679,7 @@ function toggleSettings() {
 function handleSaveSettings() {
     const newThreshold = parseInt(elements.thresholdInput.value, 10);
     const newSort = elements.sortSelect.value;
+    const newSemesterEnd = elements.semesterEndInput.value;
 
     // Re-cache in case it wasn't available during init
     elements.attendanceModeSelect = document.getElementById('attendanceModeSelect');
@@ -309,15 +692,61 @@ function handleSaveSettings() {
         return;
     }
 
+    // Validate custom eligibility rules
+    const newRulesPreset = elements.rulesPresetSelect.value;
+    let newCustomRules = state.customRules;
+    if (newRulesPreset === 'custom') {
+        newCustomRules = readCustomRules();
+        if (!newCustomRules) return;
+    }
+
+    // Validate the custom ERP layout
+    const newLayoutProfile = elements.layoutProfileSelect.value;
+    let newCustomLayout = state.customLayout;
+    if (newLayoutProfile === 'custom') {
+        newCustomLayout = readCustomLayout();
+        if (!newCustomLayout) return;
+    }
+
+    // Quiet hours need both ends (or neither)
+    const newQuietHoursStart = elements.quietHoursStartInput.value;
+    const newQuietHoursEnd = elements.quietHoursEndInput.value;
+    if (!newQuietHoursStart !== !newQuietHoursEnd) {
+        const missing = newQuietHoursStart ? elements.quietHoursEndInput : elements.quietHoursStartInput;
+        missing.classList.add('input-error');
+        setTimeout(() => missing.classList.remove('input-error'), 1000);
+        return;
+    }
+
     // Check if mode changed
     const modeChanged = state.attendanceMode !== newMode;
+    const newAggregationMode = elements.aggregationModeSelect.value;
 
     state.threshold = newThreshold;
     state.sortBy = newSort;
     state.attendanceMode = newMode;
-
-    // Update calculator mode
+    state.aggregationMode = newAggregationMode;
+    state.semesterEnd = newSemesterEnd;
+    state.forecastWeeks = parseInt(elements.forecastWeeksSelect.value, 10);
+    state.forecastDate = elements.forecastDateInput.value;
+    state.excusedMode = elements.excusedModeSelect.value;
+    state.rulesPreset = newRulesPreset;
+    state.customRules = newCustomRules;
+    state.layoutProfile = newLayoutProfile;
+    state.customLayout = newCustomLayout;
+    state.autoSyncInterval = parseInt(elements.autoSyncSelect.value, 10);
+    state.autoSyncOffscreen = elements.autoSyncOffscreenInput.checked;
+    state.alertsEnabled = elements.alertsEnabledInput.checked;
+    state.quietHoursStart = newQuietHoursStart;
+    state.quietHoursEnd = newQuietHoursEnd;
+    state.mutedCourses = [...elements.watchListItems.querySelectorAll('input[type="checkbox"]')]
+        .filter(checkbox => !checkbox.checked)
+        .map(checkbox => checkbox.value);
+
+    // Update calculator modes and eligibility rules
     AttendanceCalculator.setMode(state.attendanceMode);
+    AttendanceCalculator.setAggregationMode(state.aggregationMode);
+    AttendanceCalculator.setRules(AttendanceRules.resolve(state.rulesPreset, state.customRules));
 
     saveSettings();
 
@@ -337,6 +766,38 @@ function handleSaveSettings() {
     }
 }
 
+/**
+ * Export the current results
+ * @param {string} format - "csv", "json" or "report"
+ */
+function handleExport(format) {
+    elements.exportMenu.classList.add('hidden');
+    if (!state.attendanceData) return;
+
+    switch (format) {
+        case 'csv':
+            AttendanceReport.download(
+                AttendanceReport.getFileName('csv'),
+                AttendanceReport.toCsv(state.processedSubjects),
+                'text/csv'
+            );
+            break;
+        case 'json':
+            AttendanceReport.download(
+                AttendanceReport.getFileName('json'),
+                AttendanceReport.toJson(state.attendanceData, getSettings(), state.processedSubjects),
+                'application/json'
+            );
+            break;
+        case 'report':
+            // The report page recomputes from the saved data and settings
+            openExtensionPage('report.html');
+            return;
+    }
+
+    showToast('Export saved');
+}
+
 /**
  * Show a toast notification
  */
@@ -370,6 +831,8 @@ function showState(stateName) {
         case 'initial':
             elements.initialState.classList.remove('hidden');
             elements.refreshBtn.classList.add('hidden');
+            elements.dashboardBtn.classList.add('hidden');
+            elements.exportBtn.classList.add('hidden');
             break;
         case 'loading':
             elements.loadingState.classList.remove('hidden');
@@ -377,46 +840,197 @@ function showState(stateName) {
         case 'error':
             elements.errorState.classList.remove('hidden');
             elements.refreshBtn.classList.add('hidden');
+            elements.dashboardBtn.classList.add('hidden');
+            elements.exportBtn.classList.add('hidden');
             break;
         case 'results':
             elements.resultsContainer.classList.remove('hidden');
             elements.statsBar.classList.remove('hidden');
             elements.refreshBtn.classList.remove('hidden');
+            elements.dashboardBtn.classList.remove('hidden');
+            elements.exportBtn.classList.remove('hidden');
             break;
     }
 }
 
 /**
- * Fetch attendance data from content script
+ * Send a message to the content script of the active ERP tab
+ * @param {Object} message - Message with an `action`
+ * @param {string} pageName - Page name for error messages, e.g. 'attendance'
+ * @returns {Promise<Object>} Content script response
  */
-async function fetchAttendanceData() {
-    showState('loading');
+async function sendMessageToErpTab(message, pageName) {
+    // Get active tab
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+    if (!tab) {
+        throw new Error('No active tab found.');
+    }
+
+    // Check if we're on the correct domain
+    if (!tab.url || !tab.url.includes('newerp.kluniversity.in')) {
+        throw new Error(`Please navigate to the KL University ERP ${pageName} page first.`);
+    }
 
+    // Send message to content script
+    let response;
     try {
-        // Get active tab
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        response = await chrome.tabs.sendMessage(tab.id, message);
+    } catch (msgError) {
+        throw new Error('ERP page not ready. Please refresh the page and try again.');
+    }
 
-        if (!tab) {
-            throw new Error('No active tab found.');
-        }
+    if (!response) {
+        throw new Error('Could not communicate with the page. Please refresh and try again.');
+    }
+
+    return response;
+}
+
+/**
+ * Fetch the timetable from the ERP timetable page and offer to import it
+ */
+async function fetchTimetableForImport() {
+    elements.timetableImport.classList.add('hidden');
+
+    try {
+        const courseCodes = state.attendanceData ? Object.keys(state.attendanceData.subjects) : [];
+        const response = await sendMessageToErpTab({ action: 'fetchTimetable', courseCodes: courseCodes }, 'timetable');
 
-        // Check if we're on the correct domain
-        if (!tab.url || !tab.url.includes('newerp.kluniversity.in')) {
-            throw new Error('Please navigate to the KL University ERP attendance page first.');
+        if (!response.success) {
+            throw new Error(response.error || 'Failed to read the timetable.');
         }
 
-        // Send message to content script
-        let response;
-        try {
-            response = await chrome.tabs.sendMessage(tab.id, { action: 'fetchAttendance' });
-        } catch (msgError) {
-            throw new Error('ERP page not ready. Please refresh the page and try again.');
+        // Slots whose period times couldn't be read are left out, never stored
+        const { timetable: scraped, dropped } = AttendanceTimetable.removeInvalidEntries(
+            AttendanceTimetable.normalize({ courses: response.data.courses })
+        );
+        const courseCount = Object.keys(scraped.courses).length;
+        let slotCount = 0;
+        for (const code of Object.keys(scraped.courses)) {
+            for (const type of Object.keys(scraped.courses[code])) {
+                slotCount += scraped.courses[code][type].length;
+            }
         }
+        const skipped = dropped > 0
+            ? ` ${dropped} slot${dropped !== 1 ? 's' : ''} without a readable time will be left out.`
+            : '';
 
-        if (!response) {
-            throw new Error('Could not communicate with the page. Please refresh and try again.');
+        if (slotCount === 0) {
+            throw new Error(`No slot in the timetable has a readable time.${skipped ? ' Add them in the editor.' : ''}`);
         }
 
+        state.pendingTimetable = scraped;
+        state.pendingTimetableDropped = dropped;
+        elements.timetableImportText.textContent =
+            `Found ${slotCount} weekly slot${slotCount !== 1 ? 's' : ''} for ${courseCount} course${courseCount !== 1 ? 's' : ''}.` +
+            `${skipped} Import them into your timetable?`;
+        elements.timetableImport.classList.remove('hidden');
+    } catch (error) {
+        showToast(error.message || 'Failed to read the timetable.');
+    }
+}
+
+/**
+ * Import the scraped timetable: scraped courses replace the stored ones, others are kept
+ */
+async function importPendingTimetable() {
+    if (!state.pendingTimetable) return;
+
+    const pending = state.pendingTimetable;
+    const dropped = state.pendingTimetableDropped;
+    state.pendingTimetable = null;
+    elements.timetableImport.classList.add('hidden');
+
+    // Validate before saving; nothing is stored if the scraped slots are unusable
+    const result = AttendanceTimetable.validate(pending);
+    if (!result.valid) {
+        showToast('Timetable not imported - enter it in the editor instead');
+        openExtensionPage('timetable.html');
+        return;
+    }
+
+    const timetable = await AttendanceTimetable.load();
+    for (const code of Object.keys(pending.courses)) {
+        timetable.courses[code] = pending.courses[code];
+    }
+
+    state.timetable = await AttendanceTimetable.save(timetable);
+    showToast(dropped > 0
+        ? `Timetable imported - add the ${dropped} skipped slot${dropped !== 1 ? 's' : ''} in the editor`
+        : 'Timetable imported!');
+
+    if (state.attendanceData) {
+        renderResults();
+    }
+}
+
+/**
+ * Show the result of the last background sync under the Auto-sync setting
+ */
+async function renderSyncStatus() {
+    const status = await AttendanceSync.getStatus();
+    if (!status.lastRunAt) return;
+
+    elements.autoSyncStatus.textContent = status.error
+        ? `Last sync failed: ${status.error}`
+        : `Last synced: ${formatRelativeTime(new Date(status.lastSyncedAt))}`;
+}
+
+/**
+ * Download a backup of everything stored
+ */
+async function handleBackup() {
+    const backup = await AttendanceBackup.create();
+    AttendanceReport.download(AttendanceBackup.getFileName(), JSON.stringify(backup, null, 2), 'application/json');
+    showToast('Backup saved');
+}
+
+/**
+ * Read the chosen backup file and offer to merge or replace
+ */
+async function handleRestoreFileChosen() {
+    const file = elements.restoreFileInput.files[0];
+    elements.restoreFileInput.value = '';
+    if (!file) return;
+
+    const result = AttendanceBackup.parse(await file.text());
+    state.pendingBackup = result.backup;
+
+    elements.backupRestoreText.textContent = result.valid
+        ? `${file.name} contains ${AttendanceBackup.describe(result.backup)}. ` +
+          'Merge it with what is stored here, or replace everything?'
+        : `${file.name} can't be restored:`;
+    showCustomRulesErrors(result.errors, elements.backupRestoreErrors);
+    elements.mergeRestoreBtn.hidden = !result.valid;
+    elements.replaceRestoreBtn.hidden = !result.valid;
+    elements.backupRestore.classList.remove('hidden');
+}
+
+/**
+ * Restore the pending backup, then reload the popup from storage
+ * @param {string} mode - "merge" or "replace"
+ */
+async function restorePendingBackup(mode) {
+    if (!state.pendingBackup) return;
+
+    await AttendanceBackup.restore(state.pendingBackup, mode);
+    state.pendingBackup = null;
+    window.location.reload();
+}
+
+/**
+ * Fetch attendance data from content script
+ */
+async function fetchAttendanceData() {
+    showState('loading');
+
+    try {
+        const response = await sendMessageToErpTab({
+            action: 'fetchAttendance',
+            layouts: AttendanceLayouts.resolve(state.layoutProfile, state.customLayout)
+        }, 'attendance');
+
         if (!response.success) {
             throw new Error(response.error || 'Failed to fetch attendance data.');
         }
@@ -425,8 +1039,11 @@ async function fetchAttendanceData() {
         state.attendanceData = response.data;
         state.lastFetched = new Date().toISOString();
 
-        // Save for persistence
-        saveAttendanceData();
+        // Compare against the previous fetch before recording this one
+        state.changeBaseline = await loadChangeBaseline(state.attendanceData.subjects, true);
+
+        // Save for persistence (same path as the background auto-sync)
+        AttendanceSync.storeFetch(state.attendanceData, state.lastFetched);
 
         // Render results
         renderResults();
@@ -447,15 +1064,24 @@ function renderResults() {
         return;
     }
 
-    // Ensure calculator is using current mode
+    // Ensure calculator is using current modes
     AttendanceCalculator.setMode(state.attendanceMode);
+    AttendanceCalculator.setAggregationMode(state.aggregationMode);
 
-    // Process subjects with calculations
+    // Process subjects with calculations (excused sessions counted per the setting)
     state.processedSubjects = AttendanceCalculator.processAllSubjects(
-        state.attendanceData,
-        state.threshold
+        getAdjustedData(),
+        state.threshold,
+        state.thresholdOverrides,
+        state.courseCredits
     );
 
+    // Semester-end projections (needs an end date and the timetable)
+    attachSemesterProjections(state.processedSubjects);
+
+    // Forecasts from the recent pace (needs snapshot history)
+    attachForecasts(state.processedSubjects);
+
     // Sort subjects
     state.processedSubjects = AttendanceCalculator.sortSubjects(
         state.processedSubjects,
@@ -474,6 +1100,19 @@ function renderResults() {
     // Update alert banner if needed
     updateAlertBanner(stats);
 
+    // Warn when the scraper skipped or guessed rows
+    renderScrapeDetails();
+
+    // Compare with the ERP's own Percentage column
+    renderErpCrossCheck();
+
+    // Update "What changed" report
+    renderChangeReport();
+
+    // Reset the bunk and leave planners (a previous plan may be stale)
+    renderBunkPlanner();
+    renderLeavePlanner();
+
     // Render subject cards
     renderSubjectCards();
 
@@ -484,6 +1123,86 @@ function renderResults() {
     showState('results');
 }
 
+/**
+ * The last fetch with the excused sessions the excused mode counts, up to the
+ * fetch date (later sessions, e.g. a pre-approved OD, aren't held yet)
+ * @returns {Object} Scraped data (see AttendanceExcused.applyToData())
+ */
+function getAdjustedData() {
+    const fetchedOn = AttendanceCalculator.toDateKey(state.lastFetched ? new Date(state.lastFetched) : new Date());
+    return AttendanceExcused.applyToData(state.attendanceData, state.excusedLedger, state.excusedMode, fetchedOn);
+}
+
+/**
+ * Attach a semester-end projection to each subject that has a timetable entry
+ */
+function attachSemesterProjections(subjects) {
+    const semesterEnd = AttendanceCalculator.fromDateKey(state.semesterEnd);
+    const today = new Date();
+
+    for (const subject of subjects) {
+        subject.projection = null;
+
+        if (!semesterEnd || semesterEnd < today || !state.timetable ||
+            !AttendanceTimetable.hasCourse(state.timetable, subject.courseCode)) {
+            continue;
+        }
+
+        subject.projection = AttendanceCalculator.projectSemesterEnd(
+            subject.components,
+            state.timetable.courses[subject.courseCode],
+            today,
+            semesterEnd,
+            subject.threshold,
+            state.courseCredits[subject.courseCode]
+        );
+    }
+}
+
+/**
+ * Attach a forecast at the recent pace to each subject with enough history
+ */
+function attachForecasts(subjects) {
+    const now = state.lastFetched ? new Date(state.lastFetched) : new Date();
+    const today = new Date();
+    const targetDate = getForecastDate(today);
+
+    for (const subject of subjects) {
+        subject.forecast = null;
+
+        // An imported page is not part of this history
+        if (state.attendanceData.importedFrom) continue;
+
+        const pace = AttendanceCalculator.estimatePace(
+            state.historySnapshots,
+            subject.courseCode,
+            subject.components,
+            now,
+            state.forecastWeeks
+        );
+        if (!pace) continue;
+
+        const hasTimetable = state.timetable && AttendanceTimetable.hasCourse(state.timetable, subject.courseCode);
+        subject.forecast = AttendanceCalculator.forecastSubject(subject.components, pace, today, targetDate, {
+            credits: state.courseCredits[subject.courseCode],
+            weeklySchedule: hasTimetable ? state.timetable.courses[subject.courseCode] : null
+        });
+    }
+}
+
+/**
+ * Date to forecast: the chosen date, else the semester end, else four weeks ahead
+ * @param {Date} today - Current date
+ * @returns {Date} Forecast date
+ */
+function getForecastDate(today) {
+    for (const key of [state.forecastDate, state.semesterEnd]) {
+        const date = AttendanceCalculator.fromDateKey(key);
+        if (date && date > today) return date;
+    }
+    return new Date(today.getFullYear(), today.getMonth(), today.getDate() + 28);
+}
+
 /**
  * Update stats bar with aggregate data
  */
@@ -491,25 +1210,543 @@ function updateStatsBar(stats) {
     elements.totalSubjects.textContent = stats.totalSubjects;
     elements.avgAttendance.textContent = `${stats.averageAttendance.toFixed(1)}%`;
     elements.safeCount.textContent = stats.safeCount;
-    elements.criticalCount.textContent = stats.criticalCount + stats.borderlineCount;
+    elements.safeLabel.textContent = stats.tierCounts[0].tier.label;
+    elements.criticalCount.textContent = stats.atRiskCount;
+
+    // Per-tier breakdown of the "At Risk" count, e.g. "Condonation: 2 · Detained: 1"
+    elements.atRiskStat.title = stats.tierCounts.slice(1)
+        .map(({ tier, count }) => `${tier.label}: ${count}`)
+        .join(' · ');
 }
 
 /**
  * Update alert banner for most at-risk subject
  */
 function updateAlertBanner(stats) {
-    if (stats.mostAtRisk && stats.mostAtRisk.status === 'critical') {
+    if (stats.mostAtRisk && stats.mostAtRisk.tier.alert) {
         const subject = stats.mostAtRisk;
         const needed = subject.totalClassesNeeded;
         elements.alertMessage.textContent =
-            `${subject.courseName} is at ${subject.percentage.toFixed(1)}%. ` +
-            (needed > 0 ? `Attend ${needed} more class${needed !== 1 ? 'es' : ''} to recover.` : '');
+            `${subject.courseName} is at ${subject.percentage.toFixed(1)}% (${subject.tier.label}). ` +
+            `${[subject.tier.message, ...subject.tier.reasons].filter(Boolean).join(' ')} ` +
+            (needed > 0 && needed !== Infinity ? `Attend ${AttendanceReport.formatComponentPlan(subject.attendPlan)} to recover.` : '');
         elements.alertBanner.classList.remove('hidden');
     } else {
         elements.alertBanner.classList.add('hidden');
     }
 }
 
+/**
+ * Show the scraper diagnostics when the data is partly guessed
+ * (positional column fallback, skipped rows, or guessed LTPS types)
+ */
+function renderScrapeDetails() {
+    const diagnostics = state.attendanceData.diagnostics;
+    const isPartlyGuessed = diagnostics && (
+        diagnostics.positionalFallback ||
+        diagnostics.skippedRows.length > 0 ||
+        diagnostics.guessedRows.length > 0
+    );
+
+    if (!isPartlyGuessed) {
+        elements.scrapeDetails.classList.add('hidden');
+        return;
+    }
+
+    const { skippedRows, guessedRows } = diagnostics;
+    const summary = [];
+    if (diagnostics.positionalFallback) summary.push('columns guessed');
+    if (skippedRows.length > 0) summary.push(`${skippedRows.length} row${skippedRows.length !== 1 ? 's' : ''} skipped`);
+    if (guessedRows.length > 0) summary.push(`${guessedRows.length} LTPS type${guessedRows.length !== 1 ? 's' : ''} guessed`);
+    elements.scrapeDetailsSummary.textContent = summary.join(' · ');
+
+    elements.scrapeDetailsBody.innerHTML = '';
+
+    // Which header each field was read from
+    const columns = Object.entries(diagnostics.columnMap).map(([field, index]) =>
+        `${field} → column ${index + 1}` + (diagnostics.headers[index] ? ` "${diagnostics.headers[index]}"` : '')
+    );
+    elements.scrapeDetailsBody.appendChild(createScrapeDetailRow(
+        `Columns — ${diagnostics.layout}` + (diagnostics.positionalFallback ? ' (guessed by position)' : ''),
+        columns
+    ));
+
+    if (skippedRows.length > 0) {
+        elements.scrapeDetailsBody.appendChild(createScrapeDetailRow(
+            `Skipped rows (${skippedRows.length} of ${diagnostics.rowsRead})`,
+            skippedRows.map(({ row, reason, text }) => `Row ${row}: ${reason} — ${text}`)
+        ));
+    }
+
+    if (guessedRows.length > 0) {
+        elements.scrapeDetailsBody.appendChild(createScrapeDetailRow(
+            'Guessed rows',
+            guessedRows.map(({ row, courseCode, reason }) => `Row ${row} (${courseCode}): ${reason}`)
+        ));
+    }
+
+    elements.scrapeDetails.classList.remove('hidden');
+}
+
+/**
+ * Create one section of the scrape details view
+ */
+function createScrapeDetailRow(title, lines) {
+    const row = document.createElement('div');
+    row.className = 'change-row';
+
+    const name = document.createElement('div');
+    name.className = 'change-row-name';
+    name.textContent = title;
+    row.appendChild(name);
+
+    const details = document.createElement('div');
+    details.className = 'change-components';
+    details.textContent = lines.join('\n');
+    row.appendChild(details);
+
+    return row;
+}
+
+/**
+ * Show where computed percentages disagree with the ERP's Percentage column,
+ * and suggest the mode and rounding that reproduce the ERP
+ */
+function renderErpCrossCheck() {
+    const check = AttendanceCalculator.crossCheckErpPercentages(state.processedSubjects);
+    const suggestion = check.suggestion;
+    state.suggestedMode = null;
+
+    if (check.mismatches.length === 0) {
+        elements.erpCheck.classList.add('hidden');
+        return;
+    }
+
+    const currentMatches = check.checked - check.mismatches.length;
+    const differs = `${check.mismatches.length} of ${check.checked} components differ from the ERP's percentages.`;
+
+    if (suggestion && suggestion.mode !== state.attendanceMode && suggestion.matches > currentMatches) {
+        state.suggestedMode = suggestion.mode;
+        elements.erpCheckMessage.textContent =
+            `${differs} ${AttendanceCalculator.getModeDisplayText(suggestion.mode)} mode ` +
+            `(${AttendanceCalculator.ERP_ROUNDINGS[suggestion.rounding]}) matches ${suggestion.matches}.`;
+    } else {
+        elements.erpCheckMessage.textContent = `${differs} No attendance mode reproduces them.`;
+    }
+
+    elements.erpCheckSwitchBtn.classList.toggle('hidden', !state.suggestedMode);
+    elements.erpCheck.classList.remove('hidden');
+}
+
+/**
+ * Switch to the attendance mode suggested by the ERP cross-check
+ */
+function applySuggestedMode() {
+    if (!state.suggestedMode) return;
+
+    state.attendanceMode = state.suggestedMode;
+    AttendanceCalculator.setMode(state.attendanceMode);
+    updateSettingsUI();
+    saveSettings();
+    renderResults();
+
+    showToast(`Mode: ${AttendanceCalculator.getModeDisplayText()}`);
+}
+
+/**
+ * Render the "What changed" report against the previous fetch
+ */
+function renderChangeReport() {
+    if (!state.changeBaseline) {
+        elements.changeReport.classList.add('hidden');
+        return;
+    }
+
+    const report = AttendanceCalculator.diffSnapshots(
+        state.changeBaseline,
+        state.attendanceData.subjects,
+        state.threshold,
+        state.thresholdOverrides,
+        state.courseCredits
+    );
+
+    elements.changeReportBody.innerHTML = '';
+
+    if (!report.hasChanges) {
+        elements.changeReportSummary.textContent = 'No changes';
+        const empty = document.createElement('div');
+        empty.className = 'change-empty';
+        empty.textContent = 'Nothing changed since the last sync';
+        elements.changeReportBody.appendChild(empty);
+    } else {
+        const count = report.subjects.length;
+        const { newConducted, newMissed } = report.totals;
+        elements.changeReportSummary.textContent =
+            `${count} subject${count !== 1 ? 's' : ''} · ` +
+            `+${newConducted} class${newConducted !== 1 ? 'es' : ''}` +
+            (newMissed > 0 ? ` · ${newMissed} missed` : '');
+
+        for (const subjectChange of report.subjects) {
+            elements.changeReportBody.appendChild(createChangeRow(subjectChange));
+        }
+    }
+
+    elements.changeReport.classList.remove('hidden');
+}
+
+/**
+ * Create a change report row for one subject
+ */
+function createChangeRow(subjectChange) {
+    const row = document.createElement('div');
+    row.className = 'change-row';
+
+    const header = document.createElement('div');
+    header.className = 'change-row-header';
+
+    const name = document.createElement('span');
+    name.className = 'change-row-name';
+    name.textContent = `${subjectChange.courseName || subjectChange.courseCode} (${subjectChange.courseCode})`;
+    header.appendChild(name);
+
+    const delta = document.createElement('span');
+    delta.className = 'change-delta';
+    if (subjectChange.change === 'added') {
+        delta.textContent = 'New';
+        delta.classList.add('flat');
+    } else if (subjectChange.change === 'removed') {
+        delta.textContent = 'Removed';
+        delta.classList.add('flat');
+    } else {
+        delta.textContent = formatPercentageChange(subjectChange.percentageChange);
+        delta.classList.add(getChangeDirection(subjectChange.percentageChange));
+    }
+    header.appendChild(delta);
+    row.appendChild(header);
+
+    if (subjectChange.statusChanged) {
+        const status = document.createElement('div');
+        status.className = 'change-status';
+        status.textContent =
+            `${AttendanceReport.getTierLabel(subjectChange.previousStatus)} → ${AttendanceReport.getTierLabel(subjectChange.currentStatus)}`;
+        row.appendChild(status);
+    }
+
+    const components = document.createElement('div');
+    components.className = 'change-components';
+    components.textContent = subjectChange.components.map(comp => {
+        const name = AttendanceCalculator.getLTPSInfo(comp.type).name;
+        if (comp.change === 'added') return `${name}: new component`;
+        if (comp.change === 'removed') return `${name}: no longer listed`;
+
+        const parts = [`+${comp.newConducted} held`, `+${comp.newAttended} attended`];
+        if (comp.newMissed > 0) parts.push(`${comp.newMissed} missed`);
+        parts.push(formatPercentageChange(comp.percentageChange));
+        return `${name}: ${parts.join(', ')}`;
+    }).join('\n');
+    row.appendChild(components);
+
+    return row;
+}
+
+/**
+ * Format a percentage-point change with sign, e.g. "+1.2%" or "−0.8%"
+ */
+function formatPercentageChange(change) {
+    if (change === null || Math.abs(change) < 0.05) return '±0.0%';
+    return `${change > 0 ? '+' : '−'}${Math.abs(change).toFixed(1)}%`;
+}
+
+/**
+ * Get CSS direction class for a percentage change
+ */
+function getChangeDirection(change) {
+    if (change === null || Math.abs(change) < 0.05) return 'flat';
+    return change > 0 ? 'up' : 'down';
+}
+
+/**
+ * Show the bunk planner when a timetable exists, with any previous plan cleared
+ */
+function renderBunkPlanner() {
+    const hasTimetable = state.timetable && Object.keys(state.timetable.courses).length > 0;
+    elements.bunkPlanner.classList.toggle('hidden', !hasTimetable);
+    if (!hasTimetable) return;
+
+    elements.bunkPlannerSummary.textContent = '';
+    elements.bunkPlanResults.innerHTML = '';
+
+    // Default to the semester end, or two weeks ahead
+    if (!elements.bunkPlanUntilInput.value) {
+        const semesterEnd = AttendanceCalculator.fromDateKey(state.semesterEnd);
+        const twoWeeks = new Date();
+        twoWeeks.setDate(twoWeeks.getDate() + 14);
+        elements.bunkPlanUntilInput.value = semesterEnd && semesterEnd > new Date()
+            ? state.semesterEnd
+            : AttendanceCalculator.toDateKey(twoWeeks);
+    }
+}
+
+/**
+ * Handle the bunk planner "Plan" button
+ */
+function handlePlanBunks() {
+    const until = AttendanceCalculator.fromDateKey(elements.bunkPlanUntilInput.value);
+
+    if (!until || until <= new Date()) {
+        elements.bunkPlanUntilInput.classList.add('input-error');
+        setTimeout(() => elements.bunkPlanUntilInput.classList.remove('input-error'), 1000);
+        return;
+    }
+
+    const plan = AttendanceCalculator.planBunks(
+        getAdjustedData().subjects,
+        state.timetable.courses,
+        new Date(),
+        until,
+        state.threshold,
+        {
+            perComponent: elements.bunkPlanPerComponentInput.checked,
+            thresholdOverrides: state.thresholdOverrides,
+            courseCredits: state.courseCredits
+        }
+    );
+
+    renderBunkPlan(plan);
+}
+
+/**
+ * Render a bunk plan: warnings first, then the sessions grouped by date
+ */
+function renderBunkPlan(plan) {
+    elements.bunkPlanResults.innerHTML = '';
+    elements.bunkPlannerSummary.textContent =
+        `Skip ${plan.totalSkips} of ${plan.totalSessions} class${plan.totalSessions !== 1 ? 'es' : ''}`;
+
+    const addNote = (text) => {
+        const note = document.createElement('div');
+        note.className = 'planner-note';
+        note.textContent = text;
+        elements.bunkPlanResults.appendChild(note);
+    };
+
+    for (const subject of plan.subjects) {
+        if (!subject.safe) {
+            addNote(`⚠️ ${subject.courseName} can't stay above ${subject.threshold}% — attend every class.`);
+        }
+    }
+    if (plan.unscheduled.length > 0) {
+        addNote(`Not in your timetable, so not planned: ${plan.unscheduled.join(', ')}`);
+    }
+
+    appendSessionsByDate(elements.bunkPlanResults, plan.sessions);
+}
+
+/**
+ * Append planned sessions grouped by date ("No classes" if there are none)
+ * @param {HTMLElement} container - Planner results
+ * @param {Array} sessions - Sessions in date order
+ */
+function appendSessionsByDate(container, sessions) {
+    if (sessions.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'change-empty';
+        empty.textContent = 'No classes scheduled in this period';
+        container.appendChild(empty);
+        return;
+    }
+
+    let day = null;
+    for (const session of sessions) {
+        if (!day || day.dataset.date !== session.date) {
+            day = document.createElement('div');
+            day.className = 'change-row';
+            day.dataset.date = session.date;
+
+            const title = document.createElement('div');
+            title.className = 'planner-day-title';
+            title.textContent = formatPlannerDate(session.date);
+            day.appendChild(title);
+
+            container.appendChild(day);
+        }
+
+        day.appendChild(createPlannedSessionRow(session));
+    }
+}
+
+/**
+ * Format a planner date key, e.g. "Mon 14 Nov"
+ */
+function formatPlannerDate(dateKey) {
+    const date = AttendanceCalculator.fromDateKey(dateKey);
+    return `${date.toLocaleDateString('en-GB', { weekday: 'short' })} ${AttendanceReport.formatShortDate(dateKey)}`;
+}
+
+/**
+ * Show the leave planner when a timetable exists, with any previous check cleared
+ */
+function renderLeavePlanner() {
+    const hasTimetable = state.timetable && Object.keys(state.timetable.courses).length > 0;
+    elements.leavePlanner.classList.toggle('hidden', !hasTimetable);
+    if (!hasTimetable) return;
+
+    elements.leavePlannerSummary.textContent = '';
+    elements.leavePlanResults.innerHTML = '';
+}
+
+/**
+ * Handle the leave planner "Check" button
+ */
+function handlePlanLeave() {
+    const from = AttendanceCalculator.fromDateKey(elements.leaveFromInput.value);
+    const to = AttendanceCalculator.fromDateKey(elements.leaveToInput.value);
+
+    if (!from || from <= new Date()) {
+        elements.leaveFromInput.classList.add('input-error');
+        setTimeout(() => elements.leaveFromInput.classList.remove('input-error'), 1000);
+        return;
+    }
+    if (!to || to < from) {
+        elements.leaveToInput.classList.add('input-error');
+        setTimeout(() => elements.leaveToInput.classList.remove('input-error'), 1000);
+        return;
+    }
+
+    const plan = AttendanceCalculator.planLeave(
+        getAdjustedData().subjects,
+        state.timetable.courses,
+        new Date(),
+        from,
+        to,
+        state.threshold,
+        {
+            thresholdOverrides: state.thresholdOverrides,
+            courseCredits: state.courseCredits
+        }
+    );
+
+    renderLeavePlan(plan);
+}
+
+/**
+ * Render a leave check: verdict, affected subjects, then the missed sessions by date
+ */
+function renderLeavePlan(plan) {
+    elements.leavePlanResults.innerHTML = '';
+    const atRiskCount = plan.subjects.filter(subject => subject.atRisk).length;
+    elements.leavePlannerSummary.textContent =
+        `Miss ${plan.totalMissed} class${plan.totalMissed !== 1 ? 'es' : ''}` +
+        (atRiskCount > 0 ? ` · ${atRiskCount} at risk` : '');
+
+    const addNote = (text, className = '') => {
+        const note = document.createElement('div');
+        note.className = `planner-note ${className}`.trim();
+        note.textContent = text;
+        elements.leavePlanResults.appendChild(note);
+    };
+
+    if (plan.safe) {
+        addNote('✅ Every subject stays above its threshold', 'safe');
+    } else if (plan.suggestion) {
+        const { from, to, days } = plan.suggestion;
+        addNote(`⚠️ Too long. To keep every subject safe, shorten it to ${formatPlannerDate(from)}` +
+            (days > 1 ? ` – ${formatPlannerDate(to)}` : '') + ` (${days} day${days !== 1 ? 's' : ''})`);
+    } else {
+        addNote('⚠️ Even one day off in this period puts a subject below its threshold');
+    }
+
+    for (const subject of plan.subjects) {
+        if (!subject.safeWithoutLeave) {
+            addNote(`${subject.courseName} is below ${subject.threshold}% even if you attend every class.`);
+        }
+    }
+    if (plan.unscheduled.length > 0) {
+        addNote(`Not in your timetable, so not checked: ${plan.unscheduled.join(', ')}`);
+    }
+
+    for (const subject of plan.subjects) {
+        if (subject.missed > 0) {
+            elements.leavePlanResults.appendChild(createLeaveSubjectRow(subject));
+        }
+    }
+
+    appendSessionsByDate(elements.leavePlanResults, plan.sessions);
+}
+
+/**
+ * Create a leave check row for one subject: percentage now → after the leave, per component
+ */
+function createLeaveSubjectRow(subject) {
+    const row = document.createElement('div');
+    row.className = `change-row leave-subject${subject.atRisk ? ' at-risk' : ''}`;
+
+    const header = document.createElement('div');
+    header.className = 'change-row-header';
+
+    const name = document.createElement('span');
+    name.className = 'change-row-name';
+    name.textContent = `${subject.courseName || subject.courseCode} (${subject.courseCode})`;
+    header.appendChild(name);
+
+    const delta = document.createElement('span');
+    delta.className = `change-delta ${subject.safe ? 'flat' : 'down'}`;
+    delta.textContent = `${subject.currentPercentage.toFixed(1)}% → ${subject.percentage.toFixed(1)}%`;
+    header.appendChild(delta);
+    row.appendChild(header);
+
+    if (subject.atRisk) {
+        const status = document.createElement('div');
+        status.className = 'change-status';
+        status.textContent = `Falls below ${subject.threshold}%`;
+        row.appendChild(status);
+    }
+
+    const components = document.createElement('div');
+    components.className = 'change-components';
+    components.textContent = Object.keys(subject.components)
+        .filter(type => subject.components[type].missed > 0)
+        .map(type => {
+            const comp = subject.components[type];
+            return `${AttendanceCalculator.getLTPSInfo(type).name}: ${comp.missed} missed, ` +
+                `${comp.currentPercentage.toFixed(1)}% → ${comp.percentage.toFixed(1)}%` +
+                (comp.below ? ` (below ${comp.threshold}%)` : '');
+        })
+        .join('\n');
+    row.appendChild(components);
+
+    return row;
+}
+
+/**
+ * Create one planned session line, e.g. "Data Structures · Practical ×2  09:00-10:40  Skip"
+ */
+function createPlannedSessionRow(session) {
+    const row = document.createElement('div');
+    row.className = 'planner-session';
+
+    const ltpsInfo = AttendanceCalculator.getLTPSInfo(session.type);
+    const name = document.createElement('span');
+    name.className = 'planner-session-name';
+    name.textContent = `${session.courseName || session.courseCode} · ${ltpsInfo.name}` +
+        (session.sessions > 1 ? ` ×${session.sessions}` : '');
+    row.appendChild(name);
+
+    if (session.slot) {
+        const slot = document.createElement('span');
+        slot.className = 'planner-session-slot';
+        slot.textContent = session.slot;
+        row.appendChild(slot);
+    }
+
+    const action = document.createElement('span');
+    action.className = `planner-action ${session.action}`;
+    action.textContent = { skip: 'Skip', miss: 'Miss', attend: 'Attend' }[session.action];
+    row.appendChild(action);
+
+    return row;
+}
+
 /**
  * Render all subject cards
  */
@@ -542,7 +1779,8 @@ function createSubjectCard(subject) {
     const badge = card.querySelector('.status-badge');
     const badgeText = card.querySelector('.badge-text');
     badge.classList.add(`badge-${subject.status}`);
-    badgeText.textContent = getStatusLabel(subject.status);
+    badgeText.textContent = AttendanceReport.getTierLabel(subject.tier.id);
+    badge.title = [subject.tier.message, ...subject.tier.reasons].filter(Boolean).join('\n');
 
     // Percentage display
     card.querySelector('.percentage-value').textContent = subject.percentage.toFixed(1);
@@ -553,16 +1791,13 @@ function createSubjectCard(subject) {
     const labelThreshold = card.querySelector('.label-threshold');
     progressFill.style.width = `${Math.min(100, Math.max(0, subject.percentage))}%`;
     progressFill.classList.add(`fill-${subject.status}`);
-    thresholdMarker.style.left = `${state.threshold}%`;
-    labelThreshold.style.left = `${state.threshold}%`;
-    labelThreshold.textContent = `${state.threshold}%`;
+    thresholdMarker.style.left = `${subject.threshold}%`;
+    labelThreshold.style.left = `${subject.threshold}%`;
+    labelThreshold.textContent = `${subject.threshold}%`;
 
-    // Summary values - show effective values based on mode
+    // Summary values - show effective values (TCBR per mode, counted excused sessions)
     card.querySelector('.conducted-value').textContent = subject.totalConducted;
-    card.querySelector('.attended-value').textContent =
-        state.attendanceMode === 'TCBR_CORRECTED'
-            ? subject.totalEffectiveAttended
-            : subject.totalAttended;
+    card.querySelector('.attended-value').textContent = subject.totalEffectiveAttended;
     card.querySelector('.absent-value').textContent = subject.totalAbsent;
 
     // Action message
@@ -570,30 +1805,43 @@ function createSubjectCard(subject) {
     const actionText = card.querySelector('.action-text');
     const actionMessage = card.querySelector('.action-message');
 
-    if (subject.status === 'critical' || subject.percentage < state.threshold) {
-        actionIcon.textContent = '📈';
-        const needed = subject.totalClassesNeeded;
+    const action = AttendanceReport.getActionMessage(subject);
+    actionIcon.textContent = action.icon;
+    actionText.textContent = action.text;
+    actionMessage.classList.add(`action-${action.kind}`);
 
-        if (needed === Infinity) {
-            actionText.textContent = `Impossible to reach ${state.threshold}% (missed classes are permanent)`;
-            actionMessage.classList.add('action-impossible');
-            // Add CSS class for impossible state if not exists, reusing critical style for now
-            actionMessage.style.backgroundColor = 'var(--bg-secondary)';
-            actionMessage.style.border = '1px solid var(--border-strong)';
-            actionText.style.color = 'var(--text-tertiary)';
-        } else {
-            // For very large numbers, show as 200+
-            const displayNeeded = needed > 200 ? '200+' : needed;
-            actionText.textContent = `Attend ${displayNeeded} more class${needed !== 1 ? 'es' : ''} to reach ${state.threshold}%`;
-            actionMessage.classList.add('action-attend');
-        }
-    } else {
-        actionIcon.textContent = '✨';
-        const canSkip = Math.min(subject.canSkip, 100); // Sanity display cap
-        actionText.textContent = canSkip > 0
-            ? `You can skip ${canSkip} class${canSkip !== 1 ? 'es' : ''} safely`
-            : 'Stay on track - no room to skip';
-        actionMessage.classList.add('action-skip');
+    if (action.kind === 'impossible') {
+        // Add CSS class for impossible state if not exists, reusing critical style for now
+        actionMessage.style.backgroundColor = 'var(--bg-secondary)';
+        actionMessage.style.border = '1px solid var(--border-strong)';
+        actionText.style.color = 'var(--text-tertiary)';
+    }
+
+    // Official and adjusted figures when excused sessions are counted
+    if (AttendanceExcused.getExcusedCount(subject.components) > 0) {
+        const officialPercentage = AttendanceCalculator.calculateSubjectPercentage(
+            AttendanceExcused.getOfficialComponents(subject.components),
+            state.courseCredits[subject.courseCode]
+        );
+        const excusedLine = card.querySelector('.excused-line');
+        excusedLine.querySelector('.projection-text').textContent = AttendanceReport.getExcusedText(subject, officialPercentage);
+        excusedLine.classList.remove('hidden');
+    }
+
+    // Semester-end projection
+    if (subject.projection) {
+        const projectionLine = card.querySelector('.semester-line');
+        projectionLine.querySelector('.projection-text').textContent = AttendanceReport.getProjectionText(subject.projection, subject.threshold);
+        projectionLine.classList.remove('hidden');
+    }
+
+    // Forecast at the recent pace
+    if (subject.forecast) {
+        const forecastLine = card.querySelector('.forecast-line');
+        forecastLine.classList.add(`forecast-${subject.forecast.trend}`);
+        forecastLine.querySelector('.projection-icon').textContent = AttendanceReport.TRENDS[subject.forecast.trend].icon;
+        forecastLine.querySelector('.projection-text').textContent = AttendanceReport.getForecastText(subject.forecast);
+        forecastLine.classList.remove('hidden');
     }
 
     // Components section
@@ -613,6 +1861,12 @@ function createSubjectCard(subject) {
         componentsHeader.classList.toggle('expanded');
     });
 
+    // What-if simulator
+    setupWhatIfSimulator(card, subject);
+
+    // Target (threshold override) editor
+    setupTargetEditor(card, subject);
+
     // Simulation warning (if missing next class would be critical)
     if (subject.status !== 'critical') {
         const weakestType = subject.weakestComponent;
@@ -621,7 +1875,7 @@ function createSubjectCard(subject) {
             if (sim && sim.wouldFallBelowThreshold) {
                 const warning = card.querySelector('.simulation-warning');
                 warning.querySelector('.warning-text').textContent =
-                    `⚠️ Missing next ${AttendanceCalculator.getLTPSInfo(weakestType).name} class would drop you below ${state.threshold}%`;
+                    `⚠️ Missing next ${AttendanceCalculator.getLTPSInfo(weakestType).name} class would drop you below ${subject.componentData[weakestType].threshold}%`;
                 warning.classList.remove('hidden');
             }
         }
@@ -647,17 +1901,23 @@ function createComponentItem(type, compData) {
     item.querySelector('.component-type').textContent = ltpsInfo.name;
     item.querySelector('.component-percentage').textContent = `${compData.percentage.toFixed(1)}%`;
 
+    // Flag components whose ERP percentage the current mode doesn't reproduce
+    if (compData.erpMismatch) {
+        const erpSpan = item.querySelector('.component-erp');
+        erpSpan.textContent = `ERP ${compData.erpPercentage}%`;
+        erpSpan.title = `The ERP shows ${compData.erpPercentage}% for this component`;
+        erpSpan.classList.remove('hidden');
+        item.classList.add('erp-mismatch');
+    }
+
     // Progress bar
     const progressFill = item.querySelector('.component-progress-fill');
     progressFill.style.width = `${Math.min(100, Math.max(0, compData.percentage))}%`;
     progressFill.style.backgroundColor = ltpsInfo.color;
 
-    // Stats - show effective attended in TCBR_CORRECTED mode
-    const displayAttended = state.attendanceMode === 'TCBR_CORRECTED'
-        ? compData.effectiveAttended
-        : compData.attended;
+    // Stats - show effective attended (TCBR per mode, counted excused sessions)
     item.querySelector('.component-attended').textContent =
-        `${displayAttended}/${compData.conducted}`;
+        `${compData.effectiveAttended}/${compData.conducted}`;
 
     const actionSpan = item.querySelector('.component-action');
     if (compData.classesNeeded > 0) {
@@ -683,15 +1943,189 @@ function createComponentItem(type, compData) {
 }
 
 /**
- * Get human-readable status label
+ * Wire up the what-if simulator of a subject card.
+ * Recomputes live from the raw components; stored data is never changed.
  */
-function getStatusLabel(status) {
-    switch (status) {
-        case 'safe': return '🟢 Safe';
-        case 'borderline': return '🟡 Borderline';
-        case 'critical': return '🔴 Critical';
-        default: return status;
+function setupWhatIfSimulator(card, subject) {
+    const header = card.querySelector('.whatif-header');
+    const body = card.querySelector('.whatif-body');
+    const rowsContainer = card.querySelector('.whatif-rows');
+    const percentageEl = card.querySelector('.whatif-percentage');
+    const statusEl = card.querySelector('.whatif-status');
+    const resetBtn = card.querySelector('.whatif-reset');
+
+    const adjustments = {};
+    const rows = {};
+
+    const update = () => {
+        const result = AttendanceCalculator.simulateWhatIf(
+            subject.components,
+            adjustments,
+            subject.threshold,
+            AttendanceCalculator.getSubjectThresholds(subject.courseCode, state.threshold, state.thresholdOverrides).components,
+            state.courseCredits[subject.courseCode]
+        );
+
+        for (const type of Object.keys(rows)) {
+            const row = rows[type];
+            const change = adjustments[type];
+            row.querySelector('[data-field="attend"] .stepper-value').textContent = change.attend;
+            row.querySelector('[data-field="miss"] .stepper-value').textContent = change.miss;
+            row.querySelector('.whatif-comp-percentage').textContent =
+                `${result.componentData[type].percentage.toFixed(1)}%`;
+        }
+
+        const delta = result.percentage - subject.percentage;
+        percentageEl.textContent = `${result.percentage.toFixed(1)}%` +
+            (Math.abs(delta) >= 0.05 ? ` (${formatPercentageChange(delta)})` : '');
+        statusEl.className = `whatif-status status-${result.status}`;
+        statusEl.textContent = AttendanceReport.getTierLabel(result.tier.id);
+    };
+
+    for (const type of Object.keys(subject.components)) {
+        adjustments[type] = { attend: 0, miss: 0 };
+
+        const row = elements.whatifRowTemplate.content.cloneNode(true).querySelector('.whatif-row');
+        row.querySelector('.whatif-type').textContent = AttendanceCalculator.getLTPSInfo(type).name;
+
+        for (const stepper of row.querySelectorAll('.stepper')) {
+            const field = stepper.dataset.field;
+            for (const btn of stepper.querySelectorAll('.stepper-btn')) {
+                btn.addEventListener('click', () => {
+                    const step = parseInt(btn.dataset.step, 10);
+                    adjustments[type][field] = Math.min(50, Math.max(0, adjustments[type][field] + step));
+                    update();
+                });
+            }
+        }
+
+        rows[type] = row;
+        rowsContainer.appendChild(row);
+    }
+
+    resetBtn.addEventListener('click', () => {
+        for (const type of Object.keys(adjustments)) {
+            adjustments[type] = { attend: 0, miss: 0 };
+        }
+        update();
+    });
+
+    header.addEventListener('click', () => {
+        body.classList.toggle('collapsed');
+        header.classList.toggle('expanded');
+    });
+
+    update();
+}
+
+/**
+ * Wire up the target editor of a subject card.
+ * Empty inputs fall back to the default: the global threshold for the subject,
+ * the subject target for a component. Component credits are only shown (and
+ * used) with the credit-weighted aggregation.
+ */
+function setupTargetEditor(card, subject) {
+    const section = card.querySelector('.targets-section');
+    const header = card.querySelector('.targets-header');
+    const body = card.querySelector('.targets-body');
+    const rowsContainer = card.querySelector('.targets-rows');
+    const override = state.thresholdOverrides[subject.courseCode] || {};
+    const credits = state.courseCredits[subject.courseCode] || {};
+    const inputs = {};
+    const creditInputs = {};
+
+    const addRow = (key, label, value, placeholder) => {
+        const row = elements.targetRowTemplate.content.cloneNode(true).querySelector('.targets-row');
+        const input = row.querySelector('.targets-input');
+        const creditInput = row.querySelector('.targets-credits');
+        row.querySelector('.targets-type').textContent = label;
+        input.value = value === undefined ? '' : value;
+        input.placeholder = placeholder;
+        inputs[key] = input;
+
+        if (key === 'subject') {
+            row.classList.add('subject-row');
+        } else {
+            creditInput.value = credits[key] === undefined ? '' : credits[key];
+            creditInputs[key] = creditInput;
+        }
+        rowsContainer.appendChild(row);
+    };
+
+    section.classList.toggle('show-credits', state.aggregationMode === 'CREDIT_WEIGHTED');
+    card.querySelector('.targets-summary').textContent = AttendanceReport.formatTargetSummary(subject) +
+        (state.thresholdOverrides[subject.courseCode] ? '' : ' (default)');
+
+    addRow('subject', 'Subject', override.threshold, state.threshold);
+    for (const type of Object.keys(subject.components)) {
+        addRow(type, AttendanceCalculator.getLTPSInfo(type).name,
+            override.components && override.components[type], subject.threshold);
     }
+
+    const flagInvalid = (input) => {
+        input.classList.add('input-error');
+        setTimeout(() => input.classList.remove('input-error'), 1000);
+    };
+
+    card.querySelector('.targets-save').addEventListener('click', () => {
+        const updated = { components: {} };
+        const updatedCredits = {};
+
+        for (const [key, input] of Object.entries(inputs)) {
+            if (input.value.trim() === '') continue;
+
+            const value = parseInt(input.value, 10);
+            if (isNaN(value) || value < 0 || value > 100) {
+                flagInvalid(input);
+                return;
+            }
+
+            if (key === 'subject') {
+                updated.threshold = value;
+            } else {
+                updated.components[key] = value;
+            }
+        }
+
+        for (const [type, input] of Object.entries(creditInputs)) {
+            if (input.value.trim() === '') continue;
+
+            const value = parseFloat(input.value);
+            if (isNaN(value) || value < 0) {
+                flagInvalid(input);
+                return;
+            }
+            updatedCredits[type] = value;
+        }
+
+        if (updated.threshold === undefined && Object.keys(updated.components).length === 0) {
+            delete state.thresholdOverrides[subject.courseCode];
+        } else {
+            state.thresholdOverrides[subject.courseCode] = updated;
+        }
+
+        if (Object.keys(updatedCredits).length === 0) {
+            delete state.courseCredits[subject.courseCode];
+        } else {
+            state.courseCredits[subject.courseCode] = updatedCredits;
+        }
+
+        saveSettings();
+        renderResults();
+        showToast(`Target saved for ${subject.courseCode}`);
+    });
+
+    card.querySelector('.targets-clear').addEventListener('click', () => {
+        delete state.thresholdOverrides[subject.courseCode];
+        saveSettings();
+        renderResults();
+        showToast(`${subject.courseCode} uses the default target`);
+    });
+
+    header.addEventListener('click', () => {
+        body.classList.toggle('collapsed');
+        header.classList.toggle('expanded');
+    });
 }
 
 /**
@@ -701,7 +2135,10 @@ function updateLastUpdated() {
     if (state.lastFetched) {
         const date = new Date(state.lastFetched);
         const modeLabel = state.attendanceMode === 'TCBR_CORRECTED' ? ' (TCBR)' : '';
-        elements.lastUpdated.textContent = formatRelativeTime(date) + modeLabel;
+        const sourceLabel = state.attendanceData && state.attendanceData.importedFrom
+            ? ` · imported ${state.attendanceData.importedFrom}`
+            : '';
+        elements.lastUpdated.textContent = formatRelativeTime(date) + modeLabel + sourceLabel;
     }
 }
 
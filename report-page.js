@@ -0,0 +1,190 @@
+/**
+ * ERP Attendance Intelligence - Printable Report
+ * Page controller for the printable attendance report (report.html)
+ */
+
+// DOM Elements
+const elements = {
+    reportSubtitle: null,
+    emptyState: null,
+    summarySection: null,
+    totalSubjects: null,
+    avgAttendance: null,
+    reportMeta: null,
+    subjectsSection: null,
+    subjectRows: null,
+    printBtn: null,
+
+    // Templates
+    subjectRowTemplate: null
+};
+
+// Page State (same defaults as the popup)
+let state = {
+    theme: 'light',
+    threshold: 75,
+    sortBy: 'danger',
+    attendanceMode: 'ERP',
+    rulesPreset: 'standard',
+    customRules: null,
+    thresholdOverrides: {},
+    aggregationMode: 'EQUAL',
+    courseCredits: {},
+    excusedMode: 'NONE',
+    excusedLedger: null,
+    attendanceData: null,
+    lastFetched: null
+};
+
+/**
+ * Initialize the report
+ */
+async function init() {
+    cacheElements();
+
+    await loadPageData();
+    document.body.classList.add(`${state.theme}-theme`);
+
+    elements.printBtn.addEventListener('click', () => window.print());
+    renderReport();
+}
+
+/**
+ * Cache all DOM elements
+ */
+function cacheElements() {
+    elements.reportSubtitle = document.getElementById('reportSubtitle');
+    elements.emptyState = document.getElementById('emptyState');
+    elements.summarySection = document.getElementById('summarySection');
+    elements.totalSubjects = document.getElementById('totalSubjects');
+    elements.avgAttendance = document.getElementById('avgAttendance');
+    elements.reportMeta = document.getElementById('reportMeta');
+    elements.subjectsSection = document.getElementById('subjectsSection');
+    elements.subjectRows = document.getElementById('subjectRows');
+    elements.printBtn = document.getElementById('printBtn');
+
+    elements.subjectRowTemplate = document.getElementById('subjectRowTemplate');
+}
+
+/**
+ * Load the settings, last scrape and excused absences saved by the popup
+ */
+async function loadPageData() {
+    Object.assign(state, await AttendanceStorage.getSettings());
+
+    const lastData = await AttendanceStorage.getLastData();
+    if (lastData) {
+        state.attendanceData = lastData.data;
+        state.lastFetched = lastData.timestamp;
+    }
+
+    state.excusedLedger = await AttendanceExcused.load();
+}
+
+/**
+ * Process the saved data with the popup's settings and render the report
+ */
+function renderReport() {
+    elements.reportSubtitle.textContent = `Generated ${new Date().toLocaleString()}`;
+
+    if (!state.attendanceData) {
+        elements.emptyState.classList.remove('hidden');
+        return;
+    }
+
+    AttendanceCalculator.setMode(state.attendanceMode);
+    AttendanceCalculator.setAggregationMode(state.aggregationMode);
+    AttendanceCalculator.setRules(AttendanceRules.resolve(state.rulesPreset, state.customRules));
+
+    // Excused sessions up to the fetch date only, like the popup and the CSV export
+    const fetchedOn = AttendanceCalculator.toDateKey(state.lastFetched ? new Date(state.lastFetched) : new Date());
+    const subjects = AttendanceCalculator.sortSubjects(
+        AttendanceCalculator.processAllSubjects(
+            AttendanceExcused.applyToData(state.attendanceData, state.excusedLedger, state.excusedMode, fetchedOn),
+            state.threshold,
+            state.thresholdOverrides,
+            state.courseCredits
+        ),
+        state.sortBy
+    );
+    const stats = AttendanceCalculator.calculateAggregateStats(subjects, state.threshold);
+
+    renderSummary(stats);
+
+    elements.subjectRows.innerHTML = '';
+    for (const subject of subjects) {
+        elements.subjectRows.appendChild(createSubjectRow(subject));
+    }
+
+    elements.summarySection.classList.remove('hidden');
+    elements.subjectsSection.classList.remove('hidden');
+}
+
+/**
+ * Render the stats (subjects, average, count per tier) and the settings used
+ */
+function renderSummary(stats) {
+    elements.totalSubjects.textContent = stats.totalSubjects;
+    elements.avgAttendance.textContent = `${stats.averageAttendance.toFixed(1)}%`;
+
+    const statsRow = elements.totalSubjects.closest('.report-stats');
+    for (const { tier, count } of stats.tierCounts) {
+        const stat = document.createElement('div');
+        stat.className = `report-stat status-${tier.color}`;
+
+        const value = document.createElement('span');
+        value.className = 'report-stat-value';
+        value.textContent = count;
+        stat.appendChild(value);
+
+        const label = document.createElement('span');
+        label.className = 'report-stat-label';
+        label.textContent = tier.label;
+        stat.appendChild(label);
+
+        statsRow.appendChild(stat);
+    }
+
+    const fetched = state.lastFetched ? new Date(state.lastFetched).toLocaleString() : 'unknown';
+    const source = state.attendanceData.importedFrom ? ` (imported ${state.attendanceData.importedFrom})` : '';
+    elements.reportMeta.textContent =
+        `Data from ${fetched}${source} · Threshold ${state.threshold}% · ` +
+        `${AttendanceCalculator.getModeDisplayText()} mode · ${AttendanceCalculator.getRules().name}`;
+}
+
+/**
+ * Create a table row for a subject
+ */
+function createSubjectRow(subject) {
+    const row = elements.subjectRowTemplate.content.cloneNode(true).querySelector('.report-row');
+    const action = AttendanceReport.getActionMessage(subject);
+
+    row.classList.add(`status-${subject.status}`);
+    row.querySelector('.report-subject-name').textContent = subject.courseName;
+    row.querySelector('.report-subject-code').textContent = subject.courseCode;
+    row.querySelector('.report-components').textContent = Object.keys(subject.componentData)
+        .map(type => {
+            const comp = subject.componentData[type];
+            return `${type} ${comp.effectiveAttended}/${comp.conducted} (${comp.percentage.toFixed(1)}%)`;
+        })
+        .join(' · ');
+
+    // Official and adjusted figures when excused sessions are counted
+    if (AttendanceExcused.getExcusedCount(subject.components) > 0) {
+        const officialPercentage = AttendanceCalculator.calculateSubjectPercentage(
+            AttendanceExcused.getOfficialComponents(subject.components),
+            state.courseCredits[subject.courseCode]
+        );
+        row.querySelector('.report-excused').textContent = AttendanceReport.getExcusedText(subject, officialPercentage);
+    }
+
+    row.querySelector('.report-percentage').textContent = `${subject.percentage.toFixed(1)}%`;
+    row.querySelector('.report-target').textContent = AttendanceReport.formatTargetSummary(subject);
+    row.querySelector('.report-status').textContent = AttendanceReport.getTierLabel(subject.tier.id);
+    row.querySelector('.report-action').textContent = action.text;
+
+    return row;
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,272 @@
+/**
+ * ERP Attendance Intelligence - Report Module
+ *
+ * Turns processed subjects (AttendanceCalculator.processAllSubjects) into
+ * human-readable messages and export files. Shared by the popup and the
+ * printable report page, so both say the same thing.
+ *
+ * EXPORTS:
+ * - CSV: one row per subject component, subject columns repeated on each row
+ * - JSON: { format, version, exportedAt, settings, scrape, results }
+ *   where `scrape` is the raw data as scraped and `results` the processed subjects
+ */
+
+const AttendanceReport = {
+
+    /**
+     * Version of the JSON export layout
+     */
+    EXPORT_VERSION: 1,
+
+    /**
+     * Format a per-component class plan, e.g. "2 L + 1 T"
+     * @param {Object} plan - { total, perComponent } from the subject solvers
+     * @returns {string} Plan text
+     */
+    formatComponentPlan(plan) {
+        // For very large numbers, show as 200+
+        if (plan.total > 200) return '200+ classes';
+
+        const parts = ['L', 'T', 'P', 'S', ...Object.keys(plan.perComponent)]
+            .filter((type, index, all) => all.indexOf(type) === index && plan.perComponent[type] > 0)
+            .map(type => `${plan.perComponent[type]} ${type}`);
+
+        if (parts.length === 0) {
+            return `${plan.total} class${plan.total !== 1 ? 'es' : ''}`;
+        }
+        return parts.join(' + ');
+    },
+
+    /**
+     * Describe the targets of a subject, e.g. "90%" or "75% (P 85%)"
+     * @param {Object} subject - Processed subject
+     * @returns {string} Target text
+     */
+    formatTargetSummary(subject) {
+        const componentTargets = Object.keys(subject.componentData)
+            .filter(type => subject.componentData[type].isOverridden)
+            .map(type => `${type} ${subject.componentData[type].threshold}%`);
+
+        return `${subject.threshold}%` + (componentTargets.length > 0 ? ` (${componentTargets.join(', ')})` : '');
+    },
+
+    /**
+     * Format a "YYYY-MM-DD" key as e.g. "14 Nov"
+     * @param {string} dateKey - Date key
+     * @returns {string} Short date
+     */
+    formatShortDate(dateKey) {
+        const date = AttendanceCalculator.fromDateKey(dateKey);
+        return date ? date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' }) : dateKey;
+    },
+
+    /**
+     * Describe a semester-end projection, e.g. "Best possible: 78.4% — point of no return: 14 Nov"
+     * @param {Object} projection - Result of projectSemesterEnd()
+     * @param {number} threshold - Subject threshold
+     * @returns {string} Projection text
+     */
+    getProjectionText(projection, threshold) {
+        const best = `Best possible: ${projection.bestPercentage.toFixed(1)}%`;
+
+        if (!projection.reachable) {
+            return `${best} — ${threshold}% is out of reach this semester`;
+        }
+        if (projection.safeEvenIfAllMissed) {
+            return `${best} — safe even if you miss every remaining class`;
+        }
+        if (projection.pointOfNoReturn) {
+            return `${best} — point of no return: ${this.formatShortDate(projection.pointOfNoReturn)}`;
+        }
+        return best;
+    },
+
+    /**
+     * Trend labels and icons (see forecastSubject())
+     */
+    TRENDS: {
+        improving: { label: 'Improving', icon: '📈' },
+        stable: { label: 'Stable', icon: '➡️' },
+        declining: { label: 'Declining', icon: '📉' }
+    },
+
+    /**
+     * Describe a forecast, e.g. "Declining: at your current pace you'll be at 71.0% by 30 Nov (66.2–74.8%)"
+     * @param {Object} forecast - Result of forecastSubject()
+     * @returns {string} Forecast text
+     */
+    getForecastText(forecast) {
+        const range = `${forecast.low.toFixed(1)}–${forecast.high.toFixed(1)}%`;
+        return `${this.TRENDS[forecast.trend].label}: at your current pace you'll be at ` +
+            `${forecast.percentage.toFixed(1)}% by ${this.formatShortDate(forecast.date)} (${range})`;
+    },
+
+    /**
+     * Describe the excused sessions of a subject, e.g. "Official 68.2% · adjusted 74.1% (L +2, P +1 excused)"
+     * @param {Object} subject - Processed subject of data from AttendanceExcused.applyToData()
+     * @param {number} officialPercentage - Subject percentage without the excused sessions
+     * @returns {string} Excused text
+     */
+    getExcusedText(subject, officialPercentage) {
+        const counted = Object.keys(subject.components)
+            .filter(type => subject.components[type].excused)
+            .map(type => `${type} +${subject.components[type].excused}`);
+
+        return `Official ${officialPercentage.toFixed(1)}% · adjusted ${subject.percentage.toFixed(1)}% ` +
+            `(${counted.join(', ')} excused)`;
+    },
+
+    /**
+     * Action message of a subject card
+     * @param {Object} subject - Processed subject (with `projection` when available)
+     * @returns {Object} { kind: "attend" | "skip" | "impossible", icon, text }
+     */
+    getActionMessage(subject) {
+        if (subject.status === 'critical' || !subject.meetsThresholds) {
+            const needed = subject.totalClassesNeeded;
+
+            if (needed === Infinity || (subject.projection && !subject.projection.reachable)) {
+                return {
+                    kind: 'impossible',
+                    icon: '📈',
+                    text: needed === Infinity
+                        ? `Impossible to reach ${subject.threshold}% (missed classes are permanent)`
+                        : `Impossible to reach ${subject.threshold}% by semester end`
+                };
+            }
+            return {
+                kind: 'attend',
+                icon: '📈',
+                text: `Attend ${this.formatComponentPlan(subject.attendPlan)} to reach ${this.formatTargetSummary(subject)}`
+            };
+        }
+
+        return {
+            kind: 'skip',
+            icon: '✨',
+            text: subject.canSkip > 0
+                ? `You can skip ${this.formatComponentPlan(subject.skipPlan)} safely`
+                : 'Stay on track - no room to skip'
+        };
+    },
+
+    /**
+     * Get human-readable tier label, e.g. "🟡 Condonation"
+     * @param {string} tierId - Tier id
+     * @returns {string} Label with icon (the id if the tier is unknown)
+     */
+    getTierLabel(tierId) {
+        const tier = AttendanceRules.findTier(AttendanceCalculator.getRules(), tierId);
+        return tier ? `${tier.icon || ''} ${tier.label}`.trim() : tierId;
+    },
+
+    /**
+     * Build the CSV export, one row per subject component
+     * @param {Array} subjects - Processed subjects
+     * @returns {string} CSV text
+     */
+    toCsv(subjects) {
+        const header = [
+            'Course Code', 'Course Name', 'Subject %', 'Subject Threshold', 'Subject Status', 'Action',
+            'Component', 'Conducted', 'Attended', 'TCBR', 'Excused', 'Effective Attended', 'Component %',
+            'Component Threshold', 'Classes Needed', 'Can Skip', 'ERP %'
+        ];
+        const rows = [header];
+
+        for (const subject of subjects) {
+            const tier = subject.tier ? subject.tier.label : subject.status;
+            const action = this.getActionMessage(subject).text;
+
+            for (const type of Object.keys(subject.componentData || {})) {
+                const comp = subject.componentData[type];
+                rows.push([
+                    subject.courseCode,
+                    subject.courseName,
+                    subject.percentage.toFixed(2),
+                    subject.threshold,
+                    tier,
+                    action,
+                    type,
+                    comp.conducted,
+                    comp.attended,
+                    comp.tcbr,
+                    comp.excused,
+                    comp.effectiveAttended,
+                    comp.percentage.toFixed(2),
+                    comp.threshold,
+                    comp.classesNeeded === Infinity ? 'Impossible' : comp.classesNeeded,
+                    comp.canSkip,
+                    comp.erpPercentage === null || comp.erpPercentage === undefined ? '' : comp.erpPercentage
+                ]);
+            }
+        }
+
+        return rows.map(row => row.map(value => this.escapeCsv(value)).join(',')).join('\r\n');
+    },
+
+    /**
+     * Quote a CSV value when needed
+     * Text starting with = + - @ (course names and actions come from scraped or
+     * imported pages) is prefixed with ' so spreadsheets don't run it as a formula;
+     * plain numbers such as -2 are left alone.
+     * @param {*} value - Cell value
+     * @returns {string} CSV-safe text
+     */
+    escapeCsv(value) {
+        let text = String(value);
+        if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    /**
+     * Build the JSON export
+     * @param {Object} rawData - Raw data as scraped ({ subjects, scrapedAt, pageUrl, ... })
+     * @param {Object} settings - Settings the results were computed with
+     * @param {Array} subjects - Processed subjects
+     * @returns {string} JSON text
+     */
+    toJson(rawData, settings, subjects) {
+        return JSON.stringify({
+            format: 'erp-attendance-export',
+            version: this.EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            settings: settings,
+            scrape: rawData,
+            // Infinity (impossible) is not valid JSON; it is written as null
+            results: subjects
+        }, null, 2);
+    },
+
+    /**
+     * File name for an export, e.g. "attendance-2026-10-19.csv"
+     * @param {string} extension - File extension
+     * @returns {string} File name
+     */
+    getFileName(extension) {
+        return `attendance-${AttendanceCalculator.toDateKey(new Date())}.${extension}`;
+    },
+
+    /**
+     * Save text as a file through a temporary download link
+     * @param {string} fileName - File name
+     * @param {string} content - File contents
+     * @param {string} mimeType - MIME type
+     */
+    download(fileName, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+};
+
+// Export for use in popup.js and the report page
+if (typeof window !== 'undefined') {
+    window.AttendanceReport = AttendanceReport;
+}
@@ -0,0 +1,302 @@
+/**
+ * ERP Attendance Intelligence - Eligibility Rules Module
+ *
+ * Named attendance tiers (e.g. eligible / condonation / detained) instead of
+ * fixed safe / borderline / critical bands.
+ *
+ * RULE SET LAYOUT:
+ * {
+ *   id: "condonation",
+ *   name: "Condonation (75% / 65%)",
+ *   tiers: [                          // Best tier first
+ *     { id: "eligible", label: "Eligible", icon: "🟢", color: "safe",
+ *       minOffset: 0, message: "...", alert: false },
+ *     { id: "condonation", ..., minOffset: -10 },
+ *     { id: "detained", ... }         // Last tier: catch-all, no minimum
+ *   ],
+ *   componentRules: [                 // Optional
+ *     { types: ["P"], minOffset: 0, tier: "detained", message: "..." }
+ *   ]
+ * }
+ *
+ * - min: absolute minimum percentage for the tier
+ * - minOffset: minimum relative to the user's threshold (threshold + offset)
+ * - color: "safe", "borderline" or "critical" (maps to the theme's status colours)
+ * - alert: show the alert banner when the most at-risk subject is in this tier
+ * - componentRules: if any listed component is below its minimum, the subject
+ *   is placed in `tier` (or worse)
+ */
+
+const AttendanceRules = {
+
+    COLORS: ['safe', 'borderline', 'critical'],
+
+    COMPONENT_TYPES: ['L', 'T', 'P', 'S'],
+
+    /**
+     * Built-in rule sets
+     */
+    PRESETS: {
+        standard: {
+            id: 'standard',
+            name: 'Standard (safe / borderline / critical)',
+            tiers: [
+                {
+                    id: 'safe',
+                    label: 'Safe',
+                    icon: '🟢',
+                    color: 'safe',
+                    minOffset: 5,
+                    message: 'Comfortably above the requirement.',
+                    alert: false
+                },
+                {
+                    id: 'borderline',
+                    label: 'Borderline',
+                    icon: '🟡',
+                    color: 'borderline',
+                    minOffset: 0,
+                    message: 'Just above the requirement — skip with care.',
+                    alert: false
+                },
+                {
+                    id: 'critical',
+                    label: 'Critical',
+                    icon: '🔴',
+                    color: 'critical',
+                    message: 'Below the requirement.',
+                    alert: true
+                }
+            ],
+            componentRules: []
+        },
+
+        condonation: {
+            id: 'condonation',
+            name: 'Condonation (threshold / threshold − 10%)',
+            tiers: [
+                {
+                    id: 'eligible',
+                    label: 'Eligible',
+                    icon: '🟢',
+                    color: 'safe',
+                    minOffset: 0,
+                    message: 'Eligible to write the exams.',
+                    alert: false
+                },
+                {
+                    id: 'condonation',
+                    label: 'Condonation',
+                    icon: '🟡',
+                    color: 'borderline',
+                    minOffset: -10,
+                    message: 'Eligible only after paying the condonation fee.',
+                    alert: true
+                },
+                {
+                    id: 'detained',
+                    label: 'Detained',
+                    icon: '🔴',
+                    color: 'critical',
+                    message: 'Detained — not allowed to write the exams.',
+                    alert: true
+                }
+            ],
+            componentRules: []
+        }
+    },
+
+    /**
+     * Get the active rule set
+     * @param {string} presetId - Preset id, or "custom"
+     * @param {Object} customRules - User-defined rule set (used when presetId is "custom")
+     * @returns {Object} Rule set (falls back to the standard preset)
+     */
+    resolve(presetId, customRules) {
+        if (presetId === 'custom' && customRules && this.validate(customRules).valid) {
+            return customRules;
+        }
+        return this.PRESETS[presetId] || this.PRESETS.standard;
+    },
+
+    /**
+     * Validate a rule set: every field the calculator and the UI read
+     * (custom rules from the editor or from a restored backup)
+     * @param {Object} ruleSet - Rule set to check
+     * @returns {Object} { valid, errors }
+     */
+    validate(ruleSet) {
+        const errors = [];
+
+        if (!this._isObject(ruleSet)) {
+            return { valid: false, errors: ['Rules must be a JSON object'] };
+        }
+        if (!Array.isArray(ruleSet.tiers) || ruleSet.tiers.length === 0) {
+            return { valid: false, errors: ['"tiers" must be a non-empty list'] };
+        }
+        if (typeof ruleSet.name !== 'string' || !ruleSet.name) errors.push('"name" is required');
+
+        const ids = new Set();
+        let previousMin = Infinity;
+
+        ruleSet.tiers.forEach((tier, index) => {
+            const name = `Tier ${index + 1}`;
+            const isLast = index === ruleSet.tiers.length - 1;
+
+            if (!this._isObject(tier) || typeof tier.id !== 'string' || !tier.id) {
+                errors.push(`${name}: "id" is required`);
+                return;
+            }
+            if (ids.has(tier.id)) errors.push(`${name}: duplicate id "${tier.id}"`);
+            ids.add(tier.id);
+
+            if (typeof tier.label !== 'string' || !tier.label) errors.push(`${name}: "label" is required`);
+            if (!this.COLORS.includes(tier.color)) {
+                errors.push(`${name}: "color" must be one of ${this.COLORS.join(', ')}`);
+            }
+            this._checkOptional(tier, { icon: 'string', message: 'string', alert: 'boolean' }, name, errors);
+
+            if (!this._checkBounds(tier, name, errors)) return;
+            if (!isLast && tier.min === undefined && tier.minOffset === undefined) {
+                errors.push(`${name}: "min" or "minOffset" is required`);
+            }
+
+            // Compare bounds at the default threshold to catch an obviously wrong order
+            const min = this.getTierMin(tier, 75);
+            if (min >= previousMin) errors.push(`${name}: tiers must be ordered from best to worst`);
+            previousMin = min;
+        });
+
+        if (ruleSet.componentRules !== undefined && !Array.isArray(ruleSet.componentRules)) {
+            errors.push('"componentRules" must be a list');
+            return { valid: false, errors: errors };
+        }
+
+        for (const [index, rule] of (ruleSet.componentRules || []).entries()) {
+            const name = `Component rule ${index + 1}`;
+            if (!this._isObject(rule)) {
+                errors.push(`${name}: must be an object`);
+                continue;
+            }
+            if (!Array.isArray(rule.types) || rule.types.length === 0 ||
+                !rule.types.every(type => this.COMPONENT_TYPES.includes(type))) {
+                errors.push(`${name}: "types" must list L/T/P/S`);
+            }
+            if (this._checkBounds(rule, name, errors) && rule.min === undefined && rule.minOffset === undefined) {
+                errors.push(`${name}: "min" or "minOffset" is required`);
+            }
+            if (!ids.has(rule.tier)) errors.push(`${name}: unknown tier "${rule.tier}"`);
+            this._checkOptional(rule, { message: 'string' }, name, errors);
+        }
+
+        return { valid: errors.length === 0, errors: errors };
+    },
+
+    /**
+     * Minimum percentage of a tier (-Infinity for the catch-all tier)
+     * @param {Object} tier - Tier definition
+     * @param {number} threshold - User threshold
+     * @returns {number} Minimum percentage
+     */
+    getTierMin(tier, threshold) {
+        if (typeof tier.min === 'number') return tier.min;
+        if (typeof tier.minOffset === 'number') return threshold + tier.minOffset;
+        return -Infinity;
+    },
+
+    /**
+     * Find the tier a percentage falls in
+     * @param {Object} ruleSet - Active rule set
+     * @param {number} percentage - Attendance percentage
+     * @param {number} threshold - User threshold
+     * @returns {Object} Tier with its `rank` (0 = best)
+     */
+    evaluate(ruleSet, percentage, threshold) {
+        const tiers = ruleSet.tiers;
+        let rank = tiers.findIndex(tier => percentage >= this.getTierMin(tier, threshold));
+        if (rank === -1) rank = tiers.length - 1;
+
+        return { ...tiers[rank], rank: rank, reasons: [] };
+    },
+
+    /**
+     * Find the tier of a subject, applying component rules
+     * @param {Object} ruleSet - Active rule set
+     * @param {number} percentage - Subject percentage
+     * @param {Object} componentPercentages - { L: 80, P: 60, ... }
+     * @param {number} threshold - User threshold
+     * @returns {Object} Tier with `rank` and `reasons` (messages of the component rules that applied)
+     */
+    evaluateSubject(ruleSet, percentage, componentPercentages, threshold) {
+        let result = this.evaluate(ruleSet, percentage, threshold);
+        const reasons = [];
+
+        for (const rule of ruleSet.componentRules || []) {
+            const min = this.getTierMin(rule, threshold);
+            const failing = rule.types.filter(type =>
+                componentPercentages[type] !== undefined && componentPercentages[type] < min
+            );
+            if (failing.length === 0) continue;
+
+            reasons.push(rule.message || `${failing.join('/')} below ${min}%`);
+
+            const rank = ruleSet.tiers.findIndex(tier => tier.id === rule.tier);
+            if (rank > result.rank) {
+                result = { ...ruleSet.tiers[rank], rank: rank };
+            }
+        }
+
+        result.reasons = reasons;
+        return result;
+    },
+
+    /**
+     * Find a tier by id
+     * @param {Object} ruleSet - Active rule set
+     * @param {string} id - Tier id
+     * @returns {Object|null} Tier with `rank`, or null
+     */
+    findTier(ruleSet, id) {
+        const rank = ruleSet.tiers.findIndex(tier => tier.id === id);
+        return rank === -1 ? null : { ...ruleSet.tiers[rank], rank: rank, reasons: [] };
+    },
+
+    /**
+     * Check the "min" / "minOffset" of a tier or component rule
+     * @returns {boolean} True if any given bound is a number and at most one is given
+     */
+    _checkBounds(item, name, errors) {
+        let valid = true;
+        for (const key of ['min', 'minOffset']) {
+            if (item[key] !== undefined && !Number.isFinite(item[key])) {
+                errors.push(`${name}: "${key}" must be a number`);
+                valid = false;
+            }
+        }
+        if (item.min !== undefined && item.minOffset !== undefined) {
+            errors.push(`${name}: use either "min" or "minOffset", not both`);
+            valid = false;
+        }
+        return valid;
+    },
+
+    /**
+     * Check the types of optional fields, e.g. { message: 'string' }
+     */
+    _checkOptional(item, types, name, errors) {
+        for (const [key, type] of Object.entries(types)) {
+            if (item[key] !== undefined && typeof item[key] !== type) {
+                errors.push(`${name}: "${key}" must be a ${type}`);
+            }
+        }
+    },
+
+    _isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+};
+
+// Export for use in popup.js
+if (typeof window !== 'undefined') {
+    window.AttendanceRules = AttendanceRules;
+}
@@ -0,0 +1,381 @@
+/**
+ * ERP Attendance Intelligence - Scraper Module
+ *
+ * Reads the ERP attendance table out of a document. The content script runs
+ * it on the live ERP page; the import page runs it on a saved copy
+ * (.html or .mhtml), so both go through the same table detection and row checks.
+ *
+ * EXTRACTION RULES:
+ * - Parse ONLY <table><tbody><tr> rows
+ * - Map columns by header names (not index), using the layout profiles from layouts.js
+ * - Extract ONLY raw facts: courseCode, courseName, ltpsType, totalConducted, totalAttended, tcbr
+ * - The ERP's own Percentage column is kept as-is (erpPercentage, and erpDecimals: the
+ *   decimals the cell showed, so "76.00" stays distinct from "76") for cross-checking only
+ * - NO computed percentages, NO aggregation, NO assumptions
+ * - Anything skipped or guessed is reported in `diagnostics`, never silently
+ */
+
+const AttendanceScraper = {
+
+    /**
+     * Main scraping function - extracts attendance data from ERP tables
+     * @param {Document} doc - Live page or a parsed saved page
+     * @param {Array} layouts - Layout profiles to try, in order (see layouts.js)
+     * @param {string} pageUrl - Where the page came from (URL or file name)
+     * @returns {Object} Structured attendance data grouped by subject and LTPS components,
+     *                   plus `diagnostics`: { layout, headers, columnMap, positionalFallback,
+     *                   rowsRead, skippedRows: [{ row, reason, text }], guessedRows: [{ row, courseCode, reason }] }
+     */
+    scrape(doc, layouts, pageUrl) {
+        const found = this.findAttendanceTable(doc, layouts);
+        if (!found) {
+            throw new Error('Could not find attendance table on this page. Please ensure you are on the correct ERP attendance page.');
+        }
+
+        const { table: attendanceTable, headerRow, layout } = found;
+        let columnMap = found.columnMap;
+
+        // Log column mapping for debugging
+        // console.log('[ERP Extension] Column mapping:', columnMap);
+
+        // If we couldn't map columns by name, try positional fallback
+        const positionalFallback = Object.keys(columnMap).length < 3;
+        if (positionalFallback) {
+            // console.warn('[ERP Extension] Few columns mapped by name, using positional fallback');
+            columnMap = AttendanceLayouts.getPositionalMap(layout, headerRow.querySelectorAll('th, td').length);
+        }
+
+        const diagnostics = {
+            layout: layout.name || layout.id,
+            headers: Array.from(headerRow.querySelectorAll('th, td')).map(h => this.getText(h).trim()),
+            columnMap: { ...columnMap },
+            positionalFallback: positionalFallback,
+            rowsRead: 0,
+            skippedRows: [],
+            guessedRows: []
+        };
+
+        // Extract data from tbody rows
+        const tbody = attendanceTable.querySelector('tbody') || attendanceTable;
+        const rows = tbody.querySelectorAll('tr');
+        const subjects = {};
+
+        rows.forEach((row, index) => {
+            const cells = row.querySelectorAll('td');
+            if (row === headerRow || cells.length === 0) return; // The header row, or a row of <th> cells
+
+            const rowNumber = index + 1;
+            const rowText = Array.from(cells).map(c => this.getText(c).trim()).join(' | ');
+            diagnostics.rowsRead++;
+
+            const minCells = AttendanceLayouts.getMinCells(layout);
+            if (cells.length < minCells) {
+                diagnostics.skippedRows.push({ row: rowNumber, reason: `Too few cells (${cells.length} of ${minCells})`, text: rowText });
+                return;
+            }
+
+            const rowData = this.extractRowData(cells, columnMap, layout);
+
+            if (!rowData) {
+                diagnostics.skippedRows.push({ row: rowNumber, reason: 'No course code (or filtered by the layout)', text: rowText });
+                return;
+            }
+
+            // Sanity checks - discard invalid rows
+            const validation = this.validateRowData(rowData);
+            if (!validation.valid) {
+                diagnostics.skippedRows.push({ row: rowNumber, reason: validation.reason, text: rowText });
+                return;
+            }
+
+            if (rowData.ltpsGuess) {
+                diagnostics.guessedRows.push({ row: rowNumber, courseCode: rowData.courseCode, reason: rowData.ltpsGuess });
+            }
+
+            // Group by subject code
+            const subjectKey = rowData.courseCode;
+
+            if (!subjects[subjectKey]) {
+                subjects[subjectKey] = {
+                    courseCode: rowData.courseCode,
+                    courseName: rowData.courseName,
+                    components: {}
+                };
+            }
+
+            // Add LTPS component (raw facts only)
+            const component = {
+                conducted: rowData.totalConducted,
+                attended: rowData.totalAttended,
+                tcbr: rowData.tcbr
+            };
+            if (rowData.erpPercentage !== null) {
+                component.erpPercentage = rowData.erpPercentage;
+                component.erpDecimals = rowData.erpDecimals;
+            }
+            subjects[subjectKey].components[rowData.ltpsType] = component;
+
+            // Update course name if this one is longer/better
+            if (rowData.courseName.length > subjects[subjectKey].courseName.length) {
+                subjects[subjectKey].courseName = rowData.courseName;
+            }
+        });
+
+        if (Object.keys(subjects).length === 0) {
+            throw new Error('No valid attendance data found. The table may be empty or in an unexpected format.');
+        }
+
+        // console.log(`[ERP Extension] Extracted ${Object.keys(subjects).length} subjects, skipped ${diagnostics.skippedRows.length} invalid rows`);
+
+        return {
+            subjects: subjects,
+            scrapedAt: new Date().toISOString(),
+            pageUrl: pageUrl,
+            diagnostics: diagnostics
+        };
+    },
+
+    /**
+     * Find the first table whose headers satisfy one of the layout profiles
+     * @param {Document} doc - Live page or a parsed saved page
+     * @param {Array} layouts - Layout profiles to try, in order (see layouts.js)
+     * @returns {Object|null} { table, headerRow, columnMap, layout }, null if no table matches
+     */
+    findAttendanceTable(doc, layouts) {
+        for (const table of doc.querySelectorAll('table')) {
+            const thead = table.querySelector('thead');
+            const firstRow = thead ? thead.querySelector('tr') : table.querySelector('tr');
+
+            if (!firstRow) continue;
+
+            const headerTexts = Array.from(firstRow.querySelectorAll('th, td')).map(h => this.getText(h));
+
+            for (const profile of layouts) {
+                const matched = AttendanceLayouts.matchHeaders(profile, headerTexts);
+                if (AttendanceLayouts.hasRequiredFields(profile, matched)) {
+                    return { table: table, headerRow: firstRow, columnMap: matched, layout: profile };
+                }
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Extract raw attendance data from a table row
+     * @param {NodeList} cells - Table cells
+     * @param {Object} columnMap - Column indices
+     * @param {Object} layout - Layout profile (row filter and LTPS mapping)
+     * @returns {Object|null} Extracted raw data (ltpsGuess explains a guessed LTPS type) or null if invalid
+     */
+    extractRowData(cells, columnMap, layout) {
+        const getCellValue = (index) => {
+            if (index === undefined || index >= cells.length) return '';
+            return this.getText(cells[index]).trim();
+        };
+
+        const getCellNumber = (index) => {
+            const val = getCellValue(index);
+            const num = parseInt(val.replace(/[^0-9-]/g, ''), 10);
+            return isNaN(num) ? 0 : num;
+        };
+
+        const getCellDecimal = (index) => {
+            const val = getCellValue(index);
+            const num = parseFloat(val.replace(/[^0-9.-]/g, ''));
+            return isNaN(num) ? null : num;
+        };
+
+        // Decimals as shown in the cell (parsing drops trailing zeros: "76.00" -> 76)
+        const getCellDecimals = (index) => {
+            const match = getCellValue(index).match(/\.(\d+)/);
+            return match ? Math.min(match[1].length, 2) : 0;
+        };
+
+        // Extract course code
+        let courseCode = getCellValue(columnMap.courseCode);
+        if (!courseCode) {
+            // Try first cell as fallback
+            courseCode = cells[0] ? this.getText(cells[0]).trim() : '';
+        }
+
+        // Skip if no valid course code
+        if (!courseCode || AttendanceLayouts.isFilteredCode(layout, courseCode)) {
+            return null;
+        }
+
+        // Extract course name
+        let courseName = getCellValue(columnMap.courseName);
+
+        // Extract LTPS type through the layout's mapping (e.g. "Lab" -> P)
+        const ltpsText = getCellValue(columnMap.ltpsType);
+        let ltpsType = AttendanceLayouts.mapLtpsType(layout, ltpsText);
+        let ltpsGuess = null;
+
+        // Validate LTPS type
+        if (!ltpsType) {
+            const found = ltpsText ? `"${ltpsText}"` : 'empty';
+
+            // Try to extract from course name or other cells
+            const allText = Array.from(cells).map(c => this.getText(c)).join(' ');
+            const ltpsMatch = allText.match(/\b([LTPS])\b/);
+            if (ltpsMatch) {
+                ltpsType = ltpsMatch[1];
+                ltpsGuess = `LTPS type ${found}; took "${ltpsType}" from elsewhere in the row`;
+            } else {
+                ltpsType = layout.defaultLtpsType || 'L'; // Default to Lecture if not found
+                ltpsGuess = `LTPS type ${found}; defaulted to ${ltpsType}`;
+            }
+        }
+
+        // Extract numeric values
+        const totalConducted = getCellNumber(columnMap.totalConducted);
+        const totalAttended = getCellNumber(columnMap.totalAttended);
+        const tcbr = getCellNumber(columnMap.tcbr);
+
+        // ERP-displayed percentage (null when the column is missing or blank)
+        const erpPercentage = getCellDecimal(columnMap.percentage);
+        const erpDecimals = erpPercentage === null ? null : getCellDecimals(columnMap.percentage);
+
+        // Clean course name - remove trailing LTPS indicator if present
+        courseName = courseName.replace(/\s*[-–]\s*[LTPS]\s*$/i, '').trim();
+
+        return {
+            courseCode: courseCode,
+            courseName: courseName,
+            ltpsType: ltpsType,
+            totalConducted: totalConducted,
+            totalAttended: totalAttended,
+            tcbr: tcbr,
+            erpPercentage: erpPercentage,
+            erpDecimals: erpDecimals,
+            ltpsGuess: ltpsGuess
+        };
+    },
+
+    /**
+     * Validate row data with sanity guards
+     * @param {Object} rowData - Extracted row data
+     * @returns {Object} { valid, reason } - reason explains why the row should be discarded
+     */
+    validateRowData(rowData) {
+        // Guard: conducted > 300 is unreasonable
+        if (rowData.totalConducted > 300) {
+            return { valid: false, reason: `Conducted (${rowData.totalConducted}) > 300` };
+        }
+
+        // Guard: attended > conducted is invalid
+        if (rowData.totalAttended > rowData.totalConducted) {
+            return { valid: false, reason: `Attended (${rowData.totalAttended}) > conducted (${rowData.totalConducted})` };
+        }
+
+        // Guard: negative values are invalid
+        if (rowData.totalConducted < 0 || rowData.totalAttended < 0) {
+            return { valid: false, reason: 'Negative values' };
+        }
+
+        // Guard: TCBR should not exceed conducted
+        if (rowData.tcbr > rowData.totalConducted) {
+            return { valid: false, reason: `TCBR (${rowData.tcbr}) > conducted (${rowData.totalConducted})` };
+        }
+
+        return { valid: true, reason: null };
+    },
+
+    /**
+     * Visible text of a node (saved pages parsed outside a tab may lack innerText)
+     * @param {Node} node - Element
+     * @returns {string} Text
+     */
+    getText(node) {
+        return (node.innerText !== undefined ? node.innerText : node.textContent) || '';
+    },
+
+    /**
+     * Scrape a saved ERP attendance page
+     * @param {string} text - File contents (.html or .mhtml)
+     * @param {string} fileName - File name, recorded as the page URL
+     * @param {Array} layouts - Layout profiles to try, in order
+     * @returns {Object} Same shape as scrape()
+     */
+    scrapeSavedPage(text, fileName, layouts) {
+        const html = this.isMhtml(text) ? this.extractHtmlFromMhtml(text) : text;
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        return this.scrape(doc, layouts, fileName);
+    },
+
+    /**
+     * Whether a file is an MHTML archive ("Save as: Webpage, Single File")
+     * @param {string} text - File contents
+     * @returns {boolean} True for MIME multipart content
+     */
+    isMhtml(text) {
+        return /^MIME-Version:/im.test(text.slice(0, 2000)) && /boundary=/i.test(text.slice(0, 2000));
+    },
+
+    /**
+     * Pull the HTML document out of an MHTML archive
+     * @param {string} text - MHTML file contents
+     * @returns {string} Decoded HTML of the first text/html part
+     */
+    extractHtmlFromMhtml(text) {
+        const boundaryMatch = text.match(/boundary="?([^";\r\n]+)"?/i);
+        if (!boundaryMatch) {
+            throw new Error('This .mhtml file has no MIME boundary.');
+        }
+
+        const parts = text.split(`--${boundaryMatch[1]}`);
+        for (const part of parts) {
+            const split = part.search(/\r?\n\r?\n/);
+            if (split === -1) continue;
+
+            const headers = part.slice(0, split);
+            if (!/Content-Type:\s*text\/html/i.test(headers)) continue;
+
+            const body = part.slice(split).replace(/^\s+/, '');
+            const encodingMatch = headers.match(/Content-Transfer-Encoding:\s*([\w-]+)/i);
+            const encoding = encodingMatch ? encodingMatch[1].toLowerCase() : '';
+
+            if (encoding === 'quoted-printable') return this.decodeQuotedPrintable(body);
+            if (encoding === 'base64') return this.decodeBase64(body);
+            return body;
+        }
+
+        throw new Error('No HTML page found inside this .mhtml file.');
+    },
+
+    /**
+     * Decode a quoted-printable body as UTF-8
+     * @param {string} body - Encoded text
+     * @returns {string} Decoded text
+     */
+    decodeQuotedPrintable(body) {
+        const unfolded = body.replace(/=\r?\n/g, '');
+        const bytes = [];
+        for (let i = 0; i < unfolded.length; i++) {
+            const hex = unfolded.slice(i + 1, i + 3);
+            if (unfolded[i] === '=' && /^[0-9A-F]{2}$/i.test(hex)) {
+                bytes.push(parseInt(hex, 16));
+                i += 2;
+            } else {
+                bytes.push(unfolded.charCodeAt(i) & 0xff);
+            }
+        }
+        return new TextDecoder('utf-8').decode(new Uint8Array(bytes));
+    },
+
+    /**
+     * Decode a base64 body as UTF-8
+     * @param {string} body - Encoded text
+     * @returns {string} Decoded text
+     */
+    decodeBase64(body) {
+        const binary = atob(body.replace(/\s+/g, ''));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+};
+
+// Export for use in content.js and the import page
+if (typeof window !== 'undefined') {
+    window.AttendanceScraper = AttendanceScraper;
+}
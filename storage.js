@@ -0,0 +1,357 @@
+/**
+ * ERP Attendance Intelligence - Storage Module
+ *
+ * The one place that reads and writes chrome.storage.local. Stored data
+ * carries a schema version; migrations run once, in order, before the first
+ * read or write of a session, so old installs are upgraded instead of
+ * rendering garbage.
+ *
+ * STORAGE KEYS (chrome.storage.local):
+ * - schemaVersion: number (missing on installs from before versioning = 0)
+ * - settings: one key per entry of SETTINGS (theme, threshold, ...)
+ * - lastData: { data: { subjects, scrapedAt, pageUrl, ... }, timestamp }
+ * - attendanceHistory: see history.js
+ * - timetable: see timetable.js
+ * - excusedAbsences: see excused.js
+ * - syncStatus: see sync.js
+ *
+ * ADDING A MIGRATION:
+ * Append a function to MIGRATIONS and bump SCHEMA_VERSION. MIGRATIONS[n]
+ * upgrades data from version n to n + 1; it receives every stored key and
+ * returns the new set (keys it leaves out are removed).
+ */
+
+const AttendanceStorage = {
+
+    SCHEMA_VERSION_KEY: 'schemaVersion',
+
+    /**
+     * Current schema version
+     */
+    SCHEMA_VERSION: 1,
+
+    /**
+     * Settings: default and allowed values
+     * - values: allowed values
+     * - type: typeof of the value, or "array" (null is allowed when the default is null)
+     * - min / max: range for numbers
+     * - pattern / format: allowed text and how to describe it
+     */
+    SETTINGS: {
+        theme: { default: 'light', values: ['light', 'dark'] },
+        threshold: { default: 75, type: 'number', min: 0, max: 100 },
+        sortBy: { default: 'danger', values: ['danger', 'name', 'percentage'] },
+        attendanceMode: { default: 'ERP', values: ['ERP', 'TCBR_CORRECTED'] },
+        excusedMode: { default: 'NONE', values: ['NONE', 'APPROVED', 'PENDING_AND_APPROVED'] }, // See excused.js
+        semesterEnd: { default: '', type: 'string' }, // "YYYY-MM-DD", last day of classes
+        forecastWeeks: { default: 4, values: [2, 4, 6, 8] }, // History window for the pace (see forecastSubject)
+        forecastDate: { default: '', type: 'string', pattern: /^$|^\d{4}-\d{2}-\d{2}$/, format: 'YYYY-MM-DD' },
+        rulesPreset: { default: 'standard', type: 'string' }, // Preset id, or "custom"
+        customRules: { default: null, type: 'object' }, // See rules.js
+        layoutProfile: { default: 'auto', type: 'string' }, // Profile id, "auto" or "custom"
+        customLayout: { default: null, type: 'object' }, // See layouts.js
+        thresholdOverrides: { default: {}, type: 'object' }, // { courseCode: { threshold, components } }
+        aggregationMode: { default: 'EQUAL', values: ['EQUAL', 'POOLED', 'CREDIT_WEIGHTED'] },
+        courseCredits: { default: {}, type: 'object' }, // { courseCode: { L: 3, P: 2 } }
+        autoSyncInterval: { default: 0, values: [0, 30, 60, 180, 360] }, // Minutes, 0 = off (see sync.js)
+        autoSyncOffscreen: { default: false, type: 'boolean' },
+        alertsEnabled: { default: true, type: 'boolean' }, // Desktop notifications (see alerts.js)
+        quietHoursStart: { default: '', type: 'string', pattern: /^$|^([01]\d|2[0-3]):[0-5]\d$/, format: 'HH:MM' },
+        quietHoursEnd: { default: '', type: 'string', pattern: /^$|^([01]\d|2[0-3]):[0-5]\d$/, format: 'HH:MM' },
+        mutedCourses: { default: [], type: 'array' } // Course codes that never alert
+    },
+
+    /**
+     * Settings as they were at schema version 1, for MIGRATIONS[0]. Frozen:
+     * settings added or changed later must not change how that migration runs.
+     */
+    SETTINGS_V1: {
+        theme: { default: 'light', values: ['light', 'dark'] },
+        threshold: { default: 75, type: 'number', min: 0, max: 100 },
+        sortBy: { default: 'danger', values: ['danger', 'name', 'percentage'] },
+        attendanceMode: { default: 'ERP', values: ['ERP', 'TCBR_CORRECTED'] },
+        semesterEnd: { default: '', type: 'string' },
+        rulesPreset: { default: 'standard', type: 'string' },
+        customRules: { default: null, type: 'object' },
+        layoutProfile: { default: 'auto', type: 'string' },
+        customLayout: { default: null, type: 'object' },
+        thresholdOverrides: { default: {}, type: 'object' },
+        aggregationMode: { default: 'EQUAL', values: ['EQUAL', 'POOLED', 'CREDIT_WEIGHTED'] },
+        courseCredits: { default: {}, type: 'object' }
+    },
+
+    /**
+     * Migrations, MIGRATIONS[n] upgrades version n to n + 1
+     * Each one checks data against the rules of its own version, never SETTINGS.
+     */
+    MIGRATIONS: [
+        // 0 -> 1: installs from before schema versioning. Drop settings with
+        // values the popup can't use and repair or drop a malformed last fetch.
+        (data) => {
+            if (typeof data.threshold === 'string') data.threshold = Number(data.threshold);
+
+            const settings = AttendanceStorage.SETTINGS_V1;
+            for (const key of Object.keys(settings)) {
+                if (data[key] !== undefined && AttendanceStorage.getSettingError(key, data[key], settings)) {
+                    delete data[key];
+                }
+            }
+
+            if (data.lastData !== undefined) {
+                const lastData = AttendanceStorage.normalizeLastData(data.lastData);
+                if (lastData) {
+                    data.lastData = lastData;
+                } else {
+                    delete data.lastData;
+                }
+            }
+
+            return data;
+        }
+    ],
+
+    _ready: null,
+
+    /**
+     * Run pending migrations (once per session)
+     * @returns {Promise<number>} Schema version of the stored data
+     */
+    ready() {
+        if (!this._ready) {
+            this._ready = this.migrate();
+        }
+        return this._ready;
+    },
+
+    /**
+     * Upgrade stored data to SCHEMA_VERSION
+     * @returns {Promise<number>} Schema version of the stored data
+     */
+    async migrate() {
+        const stored = await this._get(null);
+        const version = stored[this.SCHEMA_VERSION_KEY] || 0;
+
+        // Written by a newer version of the extension: leave it alone
+        if (version >= this.SCHEMA_VERSION) return version;
+
+        const migrated = this.migrateData(stored, version);
+        const removed = Object.keys(stored).filter(key => migrated[key] === undefined);
+
+        await this._remove(removed);
+        await this._set({ ...migrated, [this.SCHEMA_VERSION_KEY]: this.SCHEMA_VERSION });
+        return this.SCHEMA_VERSION;
+    },
+
+    /**
+     * Run the migrations from `version` on a copy of the data
+     * @param {Object} data - Stored keys
+     * @param {number} version - Schema version of the data
+     * @returns {Object} Data at SCHEMA_VERSION (without the version key)
+     */
+    migrateData(data, version) {
+        let migrated = JSON.parse(JSON.stringify(data));
+        delete migrated[this.SCHEMA_VERSION_KEY];
+
+        for (let from = version; from < this.SCHEMA_VERSION; from++) {
+            migrated = this.MIGRATIONS[from](migrated);
+        }
+        return migrated;
+    },
+
+    /**
+     * Why a setting value is invalid
+     * @param {string} key - Setting key
+     * @param {*} value - Value
+     * @param {Object} settings - Setting rules to check against (defaults to the current ones)
+     * @returns {string|null} Error message, null if valid (or not a setting)
+     */
+    getSettingError(key, value, settings = this.SETTINGS) {
+        const setting = settings[key];
+        if (!setting) return null;
+
+        if (setting.values) {
+            return setting.values.includes(value) ? null : `must be one of ${setting.values.join(', ')}`;
+        }
+        if (value === null && setting.default === null) return null;
+
+        const isObject = typeof value === 'object' && value !== null && !Array.isArray(value);
+        if (setting.type === 'array') {
+            if (!Array.isArray(value)) return 'must be a list';
+        } else if (setting.type === 'object' ? !isObject : typeof value !== setting.type) {
+            return `must be a${setting.type === 'object' ? 'n' : ''} ${setting.type}`;
+        }
+        if (setting.type === 'number' && !(value >= setting.min && value <= setting.max)) {
+            return `must be a number from ${setting.min} to ${setting.max}`;
+        }
+        if (setting.pattern && !setting.pattern.test(value)) {
+            return `must be ${setting.format}`;
+        }
+        return null;
+    },
+
+    /**
+     * Repair a stored last fetch: numeric component counts, no empty subjects
+     * @param {Object} lastData - { data, timestamp }
+     * @returns {Object|null} Repaired copy, null if nothing usable is left
+     */
+    normalizeLastData(lastData) {
+        if (!lastData || !lastData.data || typeof lastData.data.subjects !== 'object' || !lastData.data.subjects) {
+            return null;
+        }
+
+        const subjects = {};
+        for (const [code, subject] of Object.entries(lastData.data.subjects)) {
+            if (!subject || typeof subject.components !== 'object' || !subject.components) continue;
+
+            const components = {};
+            for (const [type, comp] of Object.entries(subject.components)) {
+                const conducted = Number(comp && comp.conducted);
+                const attended = Number(comp && comp.attended);
+                if (!isFinite(conducted) || !isFinite(attended)) continue;
+
+                components[type] = { ...comp, conducted: conducted, attended: attended, tcbr: Number(comp.tcbr) || 0 };
+            }
+            if (Object.keys(components).length === 0) continue;
+
+            subjects[code] = {
+                ...subject,
+                courseCode: typeof subject.courseCode === 'string' ? subject.courseCode : code,
+                courseName: typeof subject.courseName === 'string' ? subject.courseName : '',
+                components: components
+            };
+        }
+        if (Object.keys(subjects).length === 0) return null;
+
+        return {
+            data: { ...lastData.data, subjects: subjects },
+            timestamp: typeof lastData.timestamp === 'string' ? lastData.timestamp : null
+        };
+    },
+
+    /**
+     * Read all settings, with defaults for missing or invalid values
+     * @returns {Promise<Object>} Settings
+     */
+    async getSettings() {
+        const keys = Object.keys(this.SETTINGS);
+        const stored = await this.get(keys);
+        const settings = {};
+
+        for (const key of keys) {
+            const valid = stored[key] !== undefined && !this.getSettingError(key, stored[key]);
+            settings[key] = valid ? stored[key] : JSON.parse(JSON.stringify(this.SETTINGS[key].default));
+        }
+        return settings;
+    },
+
+    /**
+     * Save settings (keys that are not settings are ignored)
+     * @param {Object} settings - Settings to save
+     * @returns {Promise<void>}
+     */
+    saveSettings(settings) {
+        const toSave = {};
+        for (const key of Object.keys(settings)) {
+            if (this.SETTINGS[key]) toSave[key] = settings[key];
+        }
+        return this.set(toSave);
+    },
+
+    /**
+     * Read the last fetch
+     * @returns {Promise<Object|null>} { data, timestamp }, null if none
+     */
+    async getLastData() {
+        const stored = await this.get(['lastData']);
+        return stored.lastData || null;
+    },
+
+    /**
+     * Save the last fetch
+     * @param {Object} data - Scraped data ({ subjects, scrapedAt, pageUrl, ... })
+     * @param {string} timestamp - ISO timestamp of the fetch
+     * @returns {Promise<void>}
+     */
+    saveLastData(data, timestamp) {
+        return this.set({ lastData: { data: data, timestamp: timestamp } });
+    },
+
+    /**
+     * Read storage keys (missing keys are left out)
+     * @param {Array} keys - Storage keys
+     * @returns {Promise<Object>} Stored values
+     */
+    async get(keys) {
+        await this.ready();
+        return this._get(keys);
+    },
+
+    /**
+     * Write storage keys
+     * @param {Object} values - Values by key
+     * @returns {Promise<void>}
+     */
+    async set(values) {
+        await this.ready();
+        return this._set(values);
+    },
+
+    /**
+     * Remove storage keys
+     * @param {Array} keys - Storage keys
+     * @returns {Promise<void>}
+     */
+    async remove(keys) {
+        await this.ready();
+        return this._remove(keys);
+    },
+
+    _get(keys) {
+        return new Promise((resolve) => {
+            if (typeof chrome !== 'undefined' && chrome.storage) {
+                chrome.storage.local.get(keys, (result) => resolve(result));
+            } else {
+                // Fallback for testing outside extension context
+                const result = {};
+                for (const key of keys || Object.keys(localStorage)) {
+                    try {
+                        const stored = JSON.parse(localStorage.getItem(key));
+                        if (stored !== null) result[key] = stored;
+                    } catch (e) {
+                        // Skip unreadable keys
+                    }
+                }
+                resolve(result);
+            }
+        });
+    },
+
+    _set(values) {
+        return new Promise((resolve) => {
+            if (typeof chrome !== 'undefined' && chrome.storage) {
+                chrome.storage.local.set(values, () => resolve());
+            } else {
+                for (const key of Object.keys(values)) {
+                    localStorage.setItem(key, JSON.stringify(values[key]));
+                }
+                resolve();
+            }
+        });
+    },
+
+    _remove(keys) {
+        return new Promise((resolve) => {
+            if (typeof chrome !== 'undefined' && chrome.storage) {
+                chrome.storage.local.remove(keys, () => resolve());
+            } else {
+                keys.forEach(key => localStorage.removeItem(key));
+                resolve();
+            }
+        });
+    }
+};
+
+// Export for use in popup.js and the extension pages
+if (typeof window !== 'undefined') {
+    window.AttendanceStorage = AttendanceStorage;
+}
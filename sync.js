@@ -0,0 +1,162 @@
+/**
+ * ERP Attendance Intelligence - Sync Module
+ *
+ * Storing a fetch (shared by the popup and the background worker) and the
+ * periodic auto-sync that runs in background.js.
+ *
+ * AUTO-SYNC (every `autoSyncInterval` minutes, 0 = off):
+ * 1. Ask the content script of every open ERP tab for the attendance table;
+ *    the first tab that is on the attendance page wins
+ * 2. If none is and `autoSyncOffscreen` is on, load the page of the last
+ *    fetch (lastData.data.pageUrl) in an offscreen document and scrape it there
+ * 3. Store the result like a popup fetch (last data + history snapshot)
+ *
+ * STATUS (chrome.storage.local, key "syncStatus"):
+ * { lastRunAt, lastSyncedAt, source: "tab" | "offscreen", error: string | null }
+ * - lastSyncedAt / source: last run that stored data
+ * - error: why the last run failed (null if it succeeded)
+ */
+
+const AttendanceSync = {
+
+    ALARM_NAME: 'autoSync',
+
+    STATUS_KEY: 'syncStatus',
+
+    ERP_TAB_PATTERN: 'https://newerp.kluniversity.in/*',
+
+    OFFSCREEN_URL: 'offscreen.html',
+
+    /**
+     * Store a fetch: the last data and a history snapshot
+     * @param {Object} data - Scraped data ({ subjects, scrapedAt, pageUrl, ... })
+     * @param {string} timestamp - ISO timestamp of the fetch
+     * @returns {Promise<void>}
+     */
+    async storeFetch(data, timestamp) {
+        await AttendanceStorage.saveLastData(data, timestamp);
+
+        try {
+            await AttendanceHistory.saveSnapshot(data.subjects, timestamp);
+        } catch (e) {
+            // History is best-effort; never fail a fetch on it
+        }
+    },
+
+    /**
+     * Create or clear the auto-sync alarm to match the settings
+     * @returns {Promise<void>}
+     */
+    async schedule() {
+        const { autoSyncInterval } = await AttendanceStorage.getSettings();
+
+        await chrome.alarms.clear(this.ALARM_NAME);
+        if (autoSyncInterval > 0) {
+            chrome.alarms.create(this.ALARM_NAME, { delayInMinutes: 1, periodInMinutes: autoSyncInterval });
+        }
+    },
+
+    /**
+     * Run one auto-sync and record its status
+     * @returns {Promise<Object>} Sync status
+     */
+    async run() {
+        const settings = await AttendanceStorage.getSettings();
+        const layouts = AttendanceLayouts.resolve(settings.layoutProfile, settings.customLayout);
+        const status = { ...(await this.getStatus()), lastRunAt: new Date().toISOString() };
+
+        try {
+            let source = 'tab';
+            let data = await this.scrapeFromTabs(layouts);
+
+            if (!data && settings.autoSyncOffscreen) {
+                const lastData = await AttendanceStorage.getLastData();
+                if (!lastData || !lastData.data.pageUrl || lastData.data.importedFrom) {
+                    throw new Error('Fetch once from the ERP attendance page first');
+                }
+                source = 'offscreen';
+                data = await this.scrapeOffscreen(lastData.data.pageUrl, layouts);
+            }
+            if (!data) {
+                throw new Error('No ERP attendance page is open');
+            }
+
+            await this.storeFetch(data, new Date().toISOString());
+            status.lastSyncedAt = status.lastRunAt;
+            status.source = source;
+            status.error = null;
+        } catch (error) {
+            status.error = error.message || 'Sync failed';
+        }
+
+        await AttendanceStorage.set({ [this.STATUS_KEY]: status });
+        return status;
+    },
+
+    /**
+     * Last auto-sync status
+     * @returns {Promise<Object>} Status ({} if auto-sync never ran)
+     */
+    async getStatus() {
+        return (await AttendanceStorage.get([this.STATUS_KEY]))[this.STATUS_KEY] || {};
+    },
+
+    /**
+     * Ask the open ERP tabs for the attendance table
+     * @param {Array} layouts - Layout profiles (see layouts.js)
+     * @returns {Promise<Object|null>} Scraped data, null if no tab is on the attendance page
+     */
+    async scrapeFromTabs(layouts) {
+        const tabs = await chrome.tabs.query({ url: this.ERP_TAB_PATTERN });
+
+        for (const tab of tabs) {
+            if (tab.discarded) continue;
+
+            try {
+                const response = await chrome.tabs.sendMessage(tab.id, { action: 'fetchAttendance', layouts: layouts });
+                if (response && response.success) return response.data;
+            } catch (e) {
+                // No content script (tab opened before install, or still loading)
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Load an attendance page in the offscreen document and scrape it
+     * @param {string} pageUrl - Attendance page URL
+     * @param {Array} layouts - Layout profiles (see layouts.js)
+     * @returns {Promise<Object>} Scraped data
+     */
+    async scrapeOffscreen(pageUrl, layouts) {
+        try {
+            await chrome.offscreen.createDocument({
+                url: this.OFFSCREEN_URL,
+                reasons: ['DOM_PARSER'],
+                justification: 'Read the ERP attendance table for auto-sync'
+            });
+        } catch (e) {
+            // Already open from a previous run
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                target: 'offscreen',
+                action: 'scrapeAttendancePage',
+                url: pageUrl,
+                layouts: layouts
+            });
+            if (!response || !response.success) {
+                throw new Error((response && response.error) || 'Could not read the attendance page');
+            }
+            return response.data;
+        } finally {
+            await chrome.offscreen.closeDocument().catch(() => {});
+        }
+    }
+};
+
+// Export for use in popup.js
+if (typeof window !== 'undefined') {
+    window.AttendanceSync = AttendanceSync;
+}
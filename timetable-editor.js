@@ -0,0 +1,294 @@
+/**
+ * ERP Attendance Intelligence - Timetable Editor
+ * Page controller for editing the weekly timetable (timetable.html)
+ */
+
+// DOM Elements
+const elements = {
+    coursesContainer: null,
+    errorList: null,
+    warningList: null,
+    newCourseCode: null,
+    addCourseBtn: null,
+    saveBtn: null,
+    footerStatus: null,
+
+    // Templates
+    courseTemplate: null,
+    componentTemplate: null,
+    slotTemplate: null
+};
+
+// Page State
+let state = {
+    theme: 'light',
+    timetable: null,   // Working copy, saved on "Save Timetable"
+    subjects: null,    // Raw subjects from the last scrape
+    isDirty: false
+};
+
+/**
+ * Initialize the editor
+ */
+async function init() {
+    cacheElements();
+
+    await loadPageData();
+    document.body.classList.add(`${state.theme}-theme`);
+
+    setupEventListeners();
+    renderCourses();
+    updateFooterStatus();
+}
+
+/**
+ * Cache all DOM elements
+ */
+function cacheElements() {
+    elements.coursesContainer = document.getElementById('coursesContainer');
+    elements.errorList = document.getElementById('errorList');
+    elements.warningList = document.getElementById('warningList');
+    elements.newCourseCode = document.getElementById('newCourseCode');
+    elements.addCourseBtn = document.getElementById('addCourseBtn');
+    elements.saveBtn = document.getElementById('saveBtn');
+    elements.footerStatus = document.getElementById('footerStatus');
+
+    elements.courseTemplate = document.getElementById('courseTemplate');
+    elements.componentTemplate = document.getElementById('componentTemplate');
+    elements.slotTemplate = document.getElementById('slotTemplate');
+}
+
+/**
+ * Load theme, last scrape and the stored timetable
+ */
+async function loadPageData() {
+    state.timetable = await AttendanceTimetable.load();
+
+    state.theme = (await AttendanceStorage.getSettings()).theme;
+
+    const lastData = await AttendanceStorage.getLastData();
+    if (lastData) {
+        state.subjects = lastData.data.subjects;
+    }
+}
+
+/**
+ * Set up all event listeners
+ */
+function setupEventListeners() {
+    elements.saveBtn.addEventListener('click', handleSave);
+    elements.addCourseBtn.addEventListener('click', handleAddCourse);
+    elements.newCourseCode.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') handleAddCourse();
+    });
+
+    window.addEventListener('beforeunload', (e) => {
+        if (state.isDirty) e.preventDefault();
+    });
+}
+
+/**
+ * Course codes to show: every scraped course plus any already in the timetable
+ */
+function getCourseCodes() {
+    const codes = new Set(Object.keys(state.subjects || {}));
+    Object.keys(state.timetable.courses).forEach(code => codes.add(code));
+    return [...codes].sort();
+}
+
+/**
+ * Component types to show for a course
+ */
+function getComponentTypes(code) {
+    const types = new Set();
+    const scraped = state.subjects && state.subjects[code];
+
+    if (scraped) Object.keys(scraped.components).forEach(type => types.add(type));
+    Object.keys(state.timetable.courses[code] || {}).forEach(type => types.add(type));
+
+    // Manually added course with nothing scheduled yet: offer every type
+    if (types.size === 0) AttendanceTimetable.LTPS_TYPES.forEach(type => types.add(type));
+
+    return AttendanceTimetable.LTPS_TYPES.filter(type => types.has(type));
+}
+
+/**
+ * Render all course sections
+ */
+function renderCourses() {
+    elements.coursesContainer.innerHTML = '';
+
+    const codes = getCourseCodes();
+    if (codes.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'page-section page-empty';
+        empty.textContent = 'No courses yet. Fetch your attendance from the popup first, or add a course below.';
+        elements.coursesContainer.appendChild(empty);
+        return;
+    }
+
+    for (const code of codes) {
+        elements.coursesContainer.appendChild(createCourseSection(code));
+    }
+}
+
+/**
+ * Create a course section element
+ */
+function createCourseSection(code) {
+    const section = elements.courseTemplate.content.cloneNode(true).querySelector('.timetable-course');
+    const scraped = state.subjects && state.subjects[code];
+
+    section.querySelector('.course-name').textContent = scraped ? scraped.courseName : code;
+    section.querySelector('.course-code').textContent = code;
+
+    const componentsContainer = section.querySelector('.course-components');
+    for (const type of getComponentTypes(code)) {
+        componentsContainer.appendChild(createComponentBlock(code, type));
+    }
+
+    return section;
+}
+
+/**
+ * Create the slot list of one course component
+ */
+function createComponentBlock(code, type) {
+    const block = elements.componentTemplate.content.cloneNode(true).querySelector('.timetable-component');
+    const ltpsInfo = AttendanceCalculator.getLTPSInfo(type);
+    const slotsContainer = block.querySelector('.component-slots');
+    const weeklyCount = block.querySelector('.weekly-count');
+
+    block.querySelector('.component-title').textContent = `${ltpsInfo.icon} ${ltpsInfo.name}`;
+
+    const entries = getEntries(code, type);
+
+    const updateWeeklyCount = () => {
+        const total = entries.reduce((sum, entry) => sum + (parseInt(entry.sessions, 10) || 0), 0);
+        weeklyCount.textContent = total > 0 ? `${total} session${total !== 1 ? 's' : ''} / week` : 'Not scheduled';
+    };
+
+    const addSlotRow = (entry) => {
+        const row = elements.slotTemplate.content.cloneNode(true).querySelector('.timetable-slot');
+        const daySelect = row.querySelector('.slot-day');
+        const timeInput = row.querySelector('.slot-time');
+        const sessionsInput = row.querySelector('.slot-sessions');
+
+        daySelect.value = String(entry.day);
+        timeInput.value = entry.slot;
+        sessionsInput.value = entry.sessions;
+
+        daySelect.addEventListener('change', () => {
+            entry.day = parseInt(daySelect.value, 10);
+            markDirty();
+        });
+        timeInput.addEventListener('input', () => {
+            entry.slot = timeInput.value;
+            markDirty();
+        });
+        sessionsInput.addEventListener('input', () => {
+            entry.sessions = sessionsInput.value;
+            updateWeeklyCount();
+            markDirty();
+        });
+        row.querySelector('.remove-slot-btn').addEventListener('click', () => {
+            entries.splice(entries.indexOf(entry), 1);
+            row.remove();
+            updateWeeklyCount();
+            markDirty();
+        });
+
+        slotsContainer.appendChild(row);
+    };
+
+    entries.forEach(addSlotRow);
+
+    block.querySelector('.add-slot-btn').addEventListener('click', () => {
+        const entry = { day: 1, slot: '', sessions: 1 };
+        entries.push(entry);
+        addSlotRow(entry);
+        updateWeeklyCount();
+        markDirty();
+    });
+
+    updateWeeklyCount();
+    return block;
+}
+
+/**
+ * Get (creating if needed) the live entry list of a course component
+ */
+function getEntries(code, type) {
+    if (!state.timetable.courses[code]) state.timetable.courses[code] = {};
+    if (!state.timetable.courses[code][type]) state.timetable.courses[code][type] = [];
+    return state.timetable.courses[code][type];
+}
+
+/**
+ * Handle "Add course" button
+ */
+function handleAddCourse() {
+    const code = elements.newCourseCode.value.trim().toUpperCase();
+    if (!code) return;
+
+    if (!state.timetable.courses[code]) {
+        state.timetable.courses[code] = {};
+    }
+
+    elements.newCourseCode.value = '';
+    renderCourses();
+    markDirty();
+}
+
+/**
+ * Validate and save the timetable
+ */
+async function handleSave() {
+    const normalized = AttendanceTimetable.normalize(state.timetable);
+    const result = AttendanceTimetable.validate(normalized, state.subjects);
+
+    showMessages(elements.errorList, result.errors);
+    showMessages(elements.warningList, result.warnings);
+
+    if (!result.valid) {
+        elements.footerStatus.textContent = 'Fix the errors above before saving';
+        return;
+    }
+
+    await AttendanceTimetable.save(normalized);
+    state.isDirty = false;
+    elements.footerStatus.textContent = 'Timetable saved';
+}
+
+/**
+ * Show a list of messages (hidden when empty)
+ */
+function showMessages(list, messages) {
+    list.innerHTML = '';
+    for (const message of messages) {
+        const item = document.createElement('li');
+        item.textContent = message;
+        list.appendChild(item);
+    }
+    list.classList.toggle('hidden', messages.length === 0);
+}
+
+/**
+ * Mark the working copy as changed
+ */
+function markDirty() {
+    state.isDirty = true;
+    elements.footerStatus.textContent = 'Unsaved changes';
+}
+
+/**
+ * Update footer with the last saved time
+ */
+function updateFooterStatus() {
+    elements.footerStatus.textContent = state.timetable.updatedAt
+        ? `Last saved ${new Date(state.timetable.updatedAt).toLocaleString()}`
+        : 'Not saved yet';
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,220 @@
+/**
+ * ERP Attendance Intelligence - Timetable Module
+ *
+ * Weekly timetable model: how often each course's L/T/P/S sessions happen.
+ * Lets projections, reminders and leave planning speak in dates instead of
+ * abstract class counts.
+ *
+ * STORAGE LAYOUT (chrome.storage.local, key "timetable"):
+ * {
+ *   version: 1,
+ *   updatedAt: ISO string,
+ *   courses: {
+ *     "22CS2233": {
+ *       "L": [{ day: 1, slot: "09:00-09:50", sessions: 1 }, ...],
+ *       "P": [{ day: 4, slot: "13:30-15:20", sessions: 2 }]
+ *     }
+ *   }
+ * }
+ *
+ * - day: 0 (Sunday) to 6 (Saturday), same as Date.getDay()
+ * - slot: "HH:MM-HH:MM" time range
+ * - sessions: number of attendance sessions recorded for that slot
+ *   (a two-hour lab usually counts as 2)
+ */
+
+const AttendanceTimetable = {
+
+    STORAGE_KEY: 'timetable',
+
+    /**
+     * Version of the timetable layout
+     */
+    VERSION: 1,
+
+    LTPS_TYPES: ['L', 'T', 'P', 'S'],
+
+    DAY_NAMES: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+
+    /**
+     * Create an empty timetable
+     * @returns {Object} Timetable
+     */
+    createEmpty() {
+        return { version: this.VERSION, updatedAt: null, courses: {} };
+    },
+
+    /**
+     * Load the stored timetable
+     * @returns {Promise<Object>} Timetable (empty if none stored)
+     */
+    async load() {
+        const stored = (await AttendanceStorage.get([this.STORAGE_KEY]))[this.STORAGE_KEY];
+        if (!stored || stored.version !== this.VERSION || typeof stored.courses !== 'object') {
+            return this.createEmpty();
+        }
+        return stored;
+    },
+
+    /**
+     * Save a timetable (entries are normalized, empty components dropped)
+     * @param {Object} timetable - Timetable to store
+     * @returns {Promise<Object>} The stored timetable
+     */
+    async save(timetable) {
+        const toStore = this.normalize(timetable);
+        toStore.updatedAt = new Date().toISOString();
+
+        await AttendanceStorage.set({ [this.STORAGE_KEY]: toStore });
+        return toStore;
+    },
+
+    /**
+     * Normalize a timetable: trim course codes, coerce numbers, drop empty entries
+     * @param {Object} timetable - Timetable
+     * @returns {Object} Normalized copy
+     */
+    normalize(timetable) {
+        const result = this.createEmpty();
+        result.updatedAt = timetable.updatedAt || null;
+
+        for (const rawCode of Object.keys(timetable.courses || {})) {
+            const code = rawCode.trim();
+            if (!code) continue;
+
+            for (const type of Object.keys(timetable.courses[rawCode])) {
+                const entries = (timetable.courses[rawCode][type] || [])
+                    .map(entry => ({
+                        day: parseInt(entry.day, 10),
+                        slot: String(entry.slot || '').replace(/\s+/g, ''),
+                        sessions: parseInt(entry.sessions, 10)
+                    }))
+                    .sort((a, b) => (a.day - b.day) || a.slot.localeCompare(b.slot));
+
+                if (entries.length === 0) continue;
+
+                if (!result.courses[code]) result.courses[code] = {};
+                result.courses[code][type.toUpperCase()] = entries;
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Validate a timetable, optionally against the course codes of the last scrape
+     * @param {Object} timetable - Timetable
+     * @param {Object|null} subjects - Raw `subjects` object from the last scrape
+     * @returns {Object} { valid, errors, warnings } - messages are user-facing strings
+     */
+    validate(timetable, subjects = null) {
+        const errors = [];
+        const warnings = [];
+
+        for (const code of Object.keys(timetable.courses || {})) {
+            const course = timetable.courses[code];
+            const scraped = subjects ? subjects[code] : null;
+
+            if (subjects && !scraped) {
+                warnings.push(`${code} is not in your last attendance fetch`);
+            }
+
+            for (const type of Object.keys(course)) {
+                if (!this.LTPS_TYPES.includes(type)) {
+                    errors.push(`${code}: unknown component "${type}" (use L, T, P or S)`);
+                    continue;
+                }
+
+                if (scraped && !scraped.components[type]) {
+                    warnings.push(`${code} has no ${type} component in your last attendance fetch`);
+                }
+
+                course[type].forEach((entry, index) => {
+                    const where = `${code} ${type} slot ${index + 1}`;
+                    this.getEntryErrors(entry).forEach(error => errors.push(`${where}: ${error}`));
+                });
+            }
+        }
+
+        return { valid: errors.length === 0, errors: errors, warnings: warnings };
+    },
+
+    /**
+     * Problems with one timetable entry
+     * @param {Object} entry - { day, slot, sessions }
+     * @returns {Array} Messages (empty if the entry is valid)
+     */
+    getEntryErrors(entry) {
+        const errors = [];
+        const slotPattern = /^([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-3]):[0-5]\d$/;
+
+        if (!Number.isInteger(entry.day) || entry.day < 0 || entry.day > 6) {
+            errors.push('pick a weekday');
+        }
+        if (!slotPattern.test(entry.slot)) {
+            errors.push('time must look like 09:00-09:50');
+        } else {
+            const [start, end] = entry.slot.split('-');
+            if (start >= end) errors.push('end time must be after start time');
+        }
+        if (!Number.isInteger(entry.sessions) || entry.sessions < 1 || entry.sessions > 8) {
+            errors.push('sessions must be between 1 and 8');
+        }
+        return errors;
+    },
+
+    /**
+     * Drop invalid entries, e.g. scraped slots whose period times couldn't be read
+     * @param {Object} timetable - Normalized timetable
+     * @returns {Object} { timetable, dropped } - a copy with only valid entries and components,
+     *          and the number of entries left out
+     */
+    removeInvalidEntries(timetable) {
+        const result = { ...timetable, courses: {} };
+        let dropped = 0;
+
+        for (const code of Object.keys(timetable.courses)) {
+            for (const type of Object.keys(timetable.courses[code])) {
+                const entries = this.LTPS_TYPES.includes(type)
+                    ? timetable.courses[code][type].filter(entry => this.getEntryErrors(entry).length === 0)
+                    : [];
+                dropped += timetable.courses[code][type].length - entries.length;
+                if (entries.length === 0) continue;
+
+                if (!result.courses[code]) result.courses[code] = {};
+                result.courses[code][type] = entries;
+            }
+        }
+
+        return { timetable: result, dropped: dropped };
+    },
+
+    /**
+     * Weekly session count of one course component
+     * @param {Object} timetable - Timetable
+     * @param {string} courseCode - Course code
+     * @param {string} type - L, T, P or S
+     * @returns {number} Sessions per week (0 if not scheduled)
+     */
+    getWeeklySessions(timetable, courseCode, type) {
+        const course = timetable.courses[courseCode];
+        if (!course || !course[type]) return 0;
+        return course[type].reduce((sum, entry) => sum + entry.sessions, 0);
+    },
+
+    /**
+     * Check whether a course has any schedule entries
+     * @param {Object} timetable - Timetable
+     * @param {string} courseCode - Course code
+     * @returns {boolean}
+     */
+    hasCourse(timetable, courseCode) {
+        const course = timetable.courses[courseCode];
+        return !!course && Object.keys(course).some(type => course[type].length > 0);
+    }
+};
+
+// Export for use in popup.js and timetable-editor.js
+if (typeof window !== 'undefined') {
+    window.AttendanceTimetable = AttendanceTimetable;
+}